@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FUSION_STRATEGIES = ["weighted", "min"];
+
+/**
+ * Parses a "name=value,name=value" list into an object of numbers
+ * @param {string} value Raw environment value
+ * @returns {Object} Parsed weights
+ */
+const parseWeights = (value) => {
+  if (!value) return {};
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([name, weight]) => name && !Number.isNaN(Number(weight)))
+      .map(([name, weight]) => [name, Number(weight)])
+  );
+};
+
+/**
+ * Reads the per-document-type fusion profiles, e.g.
+ * { "PaySlip": { "threshold": 92, "weights": { "pixelDiff": 0.4 } } }
+ * Each profile overrides the default strategy, threshold and weights for the
+ * documents of its type. Invalid entries are dropped with a warning.
+ * @param {string} profilesFile Path of the JSON file
+ * @returns {Object} Profiles by document type (empty when there is no file)
+ */
+const loadProfiles = (profilesFile) => {
+  if (!fs.existsSync(profilesFile)) return {};
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(profilesFile, "utf8"));
+  } catch (error) {
+    console.error(`Ignoring unreadable profiles file ${profilesFile}:`, error.message);
+    return {};
+  }
+
+  const profiles = {};
+  for (const [documentType, profile] of Object.entries(raw || {})) {
+    const { threshold, strategy, weights } = profile || {};
+    const valid =
+      profile !== null &&
+      typeof profile === "object" &&
+      !Array.isArray(profile) &&
+      (threshold === undefined ||
+        (Number.isFinite(threshold) && threshold >= 0 && threshold <= 100)) &&
+      (strategy === undefined || FUSION_STRATEGIES.includes(strategy)) &&
+      (weights === undefined ||
+        (weights !== null &&
+          typeof weights === "object" &&
+          Object.values(weights).every((weight) => Number.isFinite(weight))));
+    if (!valid) {
+      console.error(`Ignoring invalid fusion profile "${documentType}" in ${profilesFile}`);
+      continue;
+    }
+    profiles[documentType] = profile;
+  }
+  return profiles;
+};
+
+const profilesFile =
+  process.env.FUSION_PROFILES_FILE || path.join(__dirname, "profiles.json");
+
+/**
+ * Detection settings, overridable through the environment:
+ * - DETECTORS: comma-separated list of detectors to run (default: all registered)
+ * - FUSION_STRATEGY: "weighted" (weighted mean) or "min" (most suspicious detector wins)
+ * - FUSION_THRESHOLD: fused similarity below which a document is considered forged
+ * - FUSION_WEIGHTS: per-detector weights, e.g. "perceptualHash=0.5,pixelDiff=0.5"
+ * - FUSION_PROFILES_FILE: JSON file of per-document-type overrides of the three
+ *   above (default: src/config/profiles.json, written by npm run calibrate
+ *   --write; none is shipped)
+ * - HASH_ALGORITHMS: global fingerprint algorithms (ahash, dhash, phash, whash)
+ * - HASH_SIZE: side of each global hash, giving HASH_SIZE x HASH_SIZE bits
+ * - HASH_TILE_GRID: tiles per side for the regional hashes
+ * - PREPROCESSING: set to "false" to compare uploads without deskewing and trimming
+ */
+export const detectionConfig = {
+  enabledDetectors: process.env.DETECTORS
+    ? process.env.DETECTORS.split(",").map((name) => name.trim())
+    : null,
+  fusion: {
+    strategy: process.env.FUSION_STRATEGY || "weighted",
+    // Forged samples in src/lib fuse to 77-85 and genuine ones to ~100 (npm run evaluate)
+    threshold: Number(process.env.FUSION_THRESHOLD) || 90,
+    weights: {
+      perceptualHash: 0.25,
+      tileHash: 0.15,
+      pixelDiff: 0.3,
+      ssim: 0.3,
+      copyMove: 0.3,
+      crossDocument: 0.3,
+      glyphConsistency: 0.15,
+      metadata: 0.2,
+      fieldZones: 0.3,
+      ...parseWeights(process.env.FUSION_WEIGHTS),
+    },
+    // Overrides by document type; the values above form the "default" profile
+    profilesFile,
+    profiles: loadProfiles(profilesFile),
+  },
+  hashing: {
+    algorithms: process.env.HASH_ALGORITHMS
+      ? process.env.HASH_ALGORITHMS.split(",").map((name) => name.trim())
+      : ["ahash", "dhash", "phash", "whash"],
+    hashSize: Number(process.env.HASH_SIZE) || 16,
+    tileGrid: Number(process.env.HASH_TILE_GRID) || 8,
+    tileAlgorithm: "dhash",
+    tileHashSize: 16,
+  },
+  preprocessing: {
+    enabled: process.env.PREPROCESSING !== "false",
+    maxSkewAngle: 5,
+    skewStep: 0.2,
+    // Share of a row or column that must be ink for it to count as content,
+    // high enough that dotted scanner noise along the margins is ignored
+    minInkRatio: 0.05,
+  },
+  ssim: {
+    workingWidth: 1240,
+    windowSize: 8,
+    tileGrid: 16,
+  },
+  // Field-by-field comparison of the zones defined on each reference
+  fieldZones: {
+    windowSize: 8,
+    // Pixels a zone is searched around its position, for slight misregistration
+    maxShift: 3,
+    // Grey level below which a pixel is ink
+    inkLevel: 128,
+    // Default similarity (0-1) below which a field is altered; a zone may set
+    // its own minSimilarity
+    minSimilarity: 0.8,
+  },
+  copyMove: {
+    // Glyphs are ink components with a height in this range and a width below maxGlyphSize
+    minGlyphHeight: 8,
+    maxGlyphSize: 80,
+    // Background margin hashed with each glyph, so its surrounding noise must match too
+    padding: 4,
+    // Same-offset duplicates needed before a patch is reported as copied
+    minGlyphs: 3,
+    // Noise specks per glyph below which the page is too clean to judge
+    minNoiseRatio: 0.1,
+  },
+  crossDocument: {
+    minGlyphHeight: 8,
+    maxGlyphSize: 80,
+    // Pixels a glyph may be displaced by registration and still count as unchanged
+    searchRadius: 2,
+    // Share of changed glyphs above which the best match is not the same document
+    maxChangedRatio: 0.05,
+    // Gap between glyphs of one pasted patch, relative to their height
+    maxPatchGap: 1,
+    // Mean glyph similarity for a library document to count as the source
+    minSourceSimilarity: 0.9,
+    // Score factor of a changed patch whose source is not in the library; a
+    // patch traced to the library halves the score
+    unsourcedPatchFactor: 0.75,
+  },
+  glyphConsistency: {
+    minGlyphHeight: 8,
+    maxGlyphSize: 80,
+    // Shape similarity for two glyphs to count as the same character
+    peerSimilarity: 0.6,
+    // Closest occurrences a glyph is compared with
+    maxPeers: 10,
+    // Deviation (0-1) from which a feature marks a character as an outlier
+    minOutlierScore: 0.5,
+    // Mean deviation of the run an isolated single-feature outlier must sit in
+    minRunScore: 0.3,
+    // Share of outlier characters at which the detector scores 0; genuine
+    // samples in src/lib stay around 0.5%, imitations reach 1-3%
+    maxOutlierRatio: 0.05,
+  },
+  metadata: {
+    // Score lost per metadata finding, by severity
+    severityPenalties: { high: 50, medium: 25, low: 10 },
+  },
+  // Reference-free image forensics behind POST /api/documents/analyze
+  forensics: {
+    ela: {
+      // JPEG quality the document is recompressed at
+      quality: 90,
+      cellSize: 64,
+      // Grey-level gradient from which a pixel counts as an edge, and edge
+      // pixels a cell needs for its error level to be measured
+      edgeGradient: 64,
+      minEdgePixels: 100,
+      // Smallest spread of the error levels, in grey levels per edge pixel
+      minSpread: 0.05,
+      // Robust z-score above which a cell is anomalous; genuine samples in
+      // src/lib stay below 2.5
+      zThreshold: 3,
+      // Share of anomalous cells at which the score reaches 0
+      maxAnomalousRatio: 0.02,
+    },
+    noise: {
+      cellSize: 32,
+      // Smallest spread of the noise levels, in grey levels, so that a
+      // noise-free page does not turn every speck into an anomaly
+      minSpread: 1,
+      zThreshold: 4,
+      maxAnomalousRatio: 0.02,
+    },
+  },
+};
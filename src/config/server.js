@@ -0,0 +1,120 @@
+import dotenv from "dotenv";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Parses a "key:role[:requestsPerMinute],..." list of API keys
+ * @param {string} value Raw environment value
+ * @returns {Array<Object>} Keys, each { key, role, requestsPerMinute }
+ */
+const parseApiKeys = (value) => {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((entry) => entry.trim().split(":"))
+    .filter(([key, role]) => key && role)
+    .map(([key, role, requestsPerMinute]) => ({
+      key,
+      role: role.trim(),
+      requestsPerMinute: Number(requestsPerMinute) || null,
+    }));
+};
+
+/**
+ * Server settings, overridable through the environment:
+ * - BATCH_CONCURRENCY: documents of a batch verified side by side
+ * - BATCH_MAX_FILES: files (uploaded or inside archives) accepted per batch
+ * - BATCH_MAX_TOTAL_MB: total size of a batch request, and of the documents
+ *   extracted from its archives (default: the document size limit times
+ *   BATCH_MAX_FILES)
+ * - HISTORY_FILE: JSON-lines file the verification history is appended to
+ * - REPORT_SIGNING_KEY_FILE: PEM Ed25519 private key signing verification
+ *   reports (generated on first use when missing)
+ * - API_KEYS: accepted API keys as "key:role[:requestsPerMinute]", comma
+ *   separated; roles are "verifier" and "admin" (which may also verify)
+ * - RATE_LIMIT_PER_MINUTE: requests per minute for keys without their own limit
+ * - AUTH_DISABLED: set to "true" to accept every request without a key, for
+ *   local development only
+ * - MAX_IMAGE_PIXELS: largest image (width x height, all pages) accepted
+ * - UPLOAD_RETENTION_HOURS: how long uploads and their overlays, heatmaps and
+ *   batch reports are kept before the scheduled purge deletes them
+ * - RETENTION_PURGE_INTERVAL_MINUTES: how often the purge runs
+ * - ARTIFACT_LINK_TTL_MINUTES: how long links to uploaded files stay valid
+ * - ARTIFACT_LINK_SECRET: key signing those links; without it a random key is
+ *   used and links stop working when the server restarts
+ * - WORKER_POOL_SIZE: worker threads running comparisons (default: one per
+ *   CPU core but one, left to the HTTP server)
+ * - WORKER_QUEUE_SIZE: comparisons that may wait for a worker; beyond that
+ *   requests are answered 503 with Retry-After
+ * - REFERENCE_CONCURRENCY: references a worker processes side by side
+ */
+// Size of one document, uploaded or extracted from an archive, in bytes
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 500;
+// Total size of a batch, uploaded and once its archives are extracted
+const BATCH_MAX_TOTAL_SIZE =
+  Number(process.env.BATCH_MAX_TOTAL_MB) * 1024 * 1024 ||
+  MAX_DOCUMENT_SIZE * BATCH_MAX_FILES;
+
+export const serverConfig = {
+  batch: {
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 2,
+    maxFiles: BATCH_MAX_FILES,
+    // Size of one uploaded file or archive, in bytes
+    maxUploadSize: Math.min(200 * 1024 * 1024, BATCH_MAX_TOTAL_SIZE),
+    maxTotalSize: BATCH_MAX_TOTAL_SIZE,
+  },
+  history: {
+    file:
+      process.env.HISTORY_FILE ||
+      path.join(__dirname, "..", "data", "verifications.jsonl"),
+  },
+  reports: {
+    signingKeyFile:
+      process.env.REPORT_SIGNING_KEY_FILE ||
+      path.join(__dirname, "..", "data", "report-signing-key.pem"),
+  },
+  uploads: {
+    maxSize: MAX_DOCUMENT_SIZE,
+    maxPixels: Number(process.env.MAX_IMAGE_PIXELS) || 100 * 1000 * 1000,
+    // Real formats (sniffed from the content) that can be verified; PDFs
+    // only when scanned, as their pages are not rendered
+    documentFormats: ["jpeg", "png", "tiff", "webp", "gif", "pdf"],
+    // Forensic analysis reads the file itself as an image, so no PDFs
+    imageFormats: ["jpeg", "png", "tiff", "webp", "gif"],
+    // References must be single images the library lists
+    referenceFormats: ["jpeg", "png", "tiff"],
+  },
+  retention: {
+    ttlHours: Number(process.env.UPLOAD_RETENTION_HOURS) || 24,
+    purgeIntervalMinutes:
+      Number(process.env.RETENTION_PURGE_INTERVAL_MINUTES) || 60,
+    linkTtlMinutes: Number(process.env.ARTIFACT_LINK_TTL_MINUTES) || 60,
+    linkSecret:
+      process.env.ARTIFACT_LINK_SECRET || crypto.randomBytes(32).toString("hex"),
+    // Without a configured secret links only work on this process
+    linkSecretConfigured: Boolean(process.env.ARTIFACT_LINK_SECRET),
+  },
+  workers: {
+    size:
+      Number(process.env.WORKER_POOL_SIZE) ||
+      Math.max(1, os.availableParallelism() - 1),
+    maxQueue: Number(process.env.WORKER_QUEUE_SIZE) || 20,
+    referenceConcurrency: Number(process.env.REFERENCE_CONCURRENCY) || 4,
+  },
+  auth: {
+    disabled: process.env.AUTH_DISABLED === "true",
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    rateLimit: {
+      windowMs: 60 * 1000,
+      requestsPerMinute: Number(process.env.RATE_LIMIT_PER_MINUTE) || 60,
+    },
+  },
+};
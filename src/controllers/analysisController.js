@@ -0,0 +1,68 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeDocumentInWorker } from "../services/comparisonPool.js";
+import { createArtifactLinks } from "../services/artifactLinks.js";
+import { sendBusy } from "../middleware/backpressure.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const heatmapDir = path.join(uploadsDir, "heatmaps");
+const artifactLinks = createArtifactLinks(uploadsDir);
+
+/**
+ * Shapes one forensic analysis for the response
+ * @param {Object} analysis Result of errorLevelAnalysis or analyzeNoise
+ * @returns {Object} Score, regions, expiring heatmap link and statistics
+ */
+const toResponse = (analysis) => ({
+  score: analysis.score,
+  heatmapUrl: artifactLinks.link("heatmap", analysis.heatmap),
+  regions: analysis.regions,
+  details: analysis.details,
+});
+
+/**
+ * Runs the reference-free image forensics (Error Level Analysis and noise
+ * inconsistency) on an uploaded document and returns their heatmaps
+ */
+export const analyzeDocument = async (req, res) => {
+  try {
+    console.log("Document forensic analysis started");
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded or file is not an image",
+      });
+    }
+
+    console.log(`File uploaded: ${req.file.originalname}`);
+    console.log(`Saved as: ${req.file.filename}`);
+
+    const { ela: elaResult, noise: noiseResult } =
+      await analyzeDocumentInWorker(req.file.path, heatmapDir);
+    console.log(
+      `Forensic scores: ELA ${elaResult.score}, noise ${noiseResult.score}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      fileName: req.file.originalname,
+      storedAs: path.basename(req.file.path),
+      // The most suspicious analysis sets the overall score
+      score: Math.min(elaResult.score, noiseResult.score),
+      ela: toResponse(elaResult),
+      noise: toResponse(noiseResult),
+    });
+  } catch (error) {
+    if (error.retryAfter) return sendBusy(res, error.retryAfter);
+    console.error("Error in analyzeDocument:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error analyzing document",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,32 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createArtifactLinks } from "../services/artifactLinks.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const artifactLinks = createArtifactLinks(uploadsDir);
+
+/**
+ * Serves an upload, overlay or heatmap through an expiring signed link, as
+ * handed out in verification results. Uploads are otherwise never served.
+ */
+export const getArtifact = (req, res) => {
+  let artifactPath;
+  try {
+    artifactPath = artifactLinks.resolve(req.params.kind, req.params.name, {
+      expires: req.query.expires,
+      signature: req.query.signature,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  // Documents hold personal data; keep them out of shared caches
+  res.set("Cache-Control", "private, no-store");
+  return res.sendFile(artifactPath);
+};
@@ -0,0 +1,132 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { compareDocumentInWorker } from "../services/comparisonPool.js";
+import { createReferenceLibrary } from "../services/referenceLibrary.js";
+import { createArtifactLinks } from "../services/artifactLinks.js";
+import { cleanupTempFiles } from "../utils/fileUtils.js";
+import { sendBusy } from "../middleware/backpressure.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const overlayDir = path.join(uploadsDir, "overlays");
+const diffDir = path.join(uploadsDir, "diffs");
+const genuineDir = path.join(__dirname, "..", "lib", "genuine");
+const referenceLibrary = createReferenceLibrary(genuineDir);
+const artifactLinks = createArtifactLinks(uploadsDir);
+
+/**
+ * Shapes the comparison of one page for the response
+ * @param {Object} result Page result returned by compareImages
+ * @returns {Object} Verdict, per-detector metrics, diff and clusters of the page
+ */
+const formatPairResult = (result) => ({
+  isGenuine: !result.isForged,
+  similarity: result.similarity,
+  // Each detector's score for the pair, null when it could not judge it
+  metrics: Object.fromEntries(
+    ((result.details && result.details.detectors) || []).map(
+      ({ detector, score, skipped }) => [detector, skipped ? null : score ?? null]
+    )
+  ),
+  diffUrl: result.diff ? artifactLinks.link("diff", result.diff.image) : null,
+  changedRatio: result.diff ? result.diff.changedRatio : null,
+  clusters: result.diff ? result.diff.clusters : [],
+  regions: result.regions || [],
+  fields: result.fields || [],
+  overlayUrl: artifactLinks.link("overlay", result.overlay),
+});
+
+/**
+ * Compares an upload with one reference chosen by the reviewer: a library
+ * reference (referenceId) or a second upload (field "reference"). Only that
+ * pair goes through the pipeline; the response carries every detector's
+ * metric, a pixel-diff PNG and the clusters of differences.
+ */
+export const compareDocuments = async (req, res) => {
+  const document = req.files && req.files.document && req.files.document[0];
+  const uploadedReference =
+    req.files && req.files.reference && req.files.reference[0];
+  const referenceId = req.body && req.body.referenceId;
+  const uploads = [document, uploadedReference].filter(Boolean);
+
+  if (!document) {
+    cleanupTempFiles(uploads.map((file) => file.path));
+    return res.status(400).json({
+      success: false,
+      message: "No document uploaded",
+    });
+  }
+  if (Boolean(referenceId) === Boolean(uploadedReference)) {
+    cleanupTempFiles(uploads.map((file) => file.path));
+    return res.status(400).json({
+      success: false,
+      message: "Send either a referenceId or a second upload named reference",
+    });
+  }
+
+  try {
+    console.log(
+      `Comparing ${document.originalname} with ${
+        referenceId || `uploaded ${uploadedReference.originalname}`
+      }`
+    );
+
+    let reference;
+    // An uploaded reference is staged as a library by the worker, off this thread
+    let stagedReference = null;
+    if (referenceId) {
+      const { id, documentType } = referenceLibrary.get(referenceId);
+      reference = { source: "library", id, documentType: documentType || null };
+    } else {
+      stagedReference = {
+        filePath: uploadedReference.path,
+        originalname: uploadedReference.originalname,
+        metadata: { documentType: req.body.documentType },
+      };
+      reference = {
+        source: "upload",
+        fileName: uploadedReference.originalname,
+        storedAs: uploadedReference.filename,
+      };
+    }
+
+    const result = await compareDocumentInWorker(document.path, genuineDir, {
+      overlayDir,
+      diffDir,
+      referenceId: reference.id || null,
+      stagedReference,
+    });
+    const page = result.weakestPage;
+
+    return res.status(200).json({
+      success: true,
+      fileName: document.originalname,
+      storedAs: document.filename,
+      reference,
+      ...formatPairResult(page),
+      isGenuine: !result.isForged,
+      similarity: result.similarity,
+      message: result.isForged
+        ? "Document differs from the reference"
+        : "Document matches the reference",
+      threshold: page.details.threshold ?? null,
+      profile: page.details.profile || null,
+      pageCount: result.pageCount,
+      pages: result.pages.map((pageResult) => ({
+        page: pageResult.page,
+        ...formatPairResult(pageResult),
+      })),
+      details: { ...page.details, page: page.page },
+    });
+  } catch (error) {
+    if (error.retryAfter) return sendBusy(res, error.retryAfter);
+    const status = error.status || 500;
+    if (status >= 500) console.error("Error in compareDocuments:", error);
+    return res.status(status).json({
+      success: false,
+      message: `Error comparing documents: ${error.message}`,
+    });
+  }
+};
@@ -1,203 +1,658 @@
-import { compareImages } from "../services/imageService.js";
+import {
+  comparisonPool,
+  compareDocumentInWorker,
+} from "../services/comparisonPool.js";
+import { createJobQueue } from "../services/jobQueue.js";
+import { isZipFile, extractZipArchive } from "../services/zipService.js";
+import {
+  mapWithConcurrency,
+  summarizeBatch,
+  batchReportToCsv,
+} from "../services/batchService.js";
+import { serverConfig } from "../config/server.js";
+import { createHistoryStore } from "../services/historyStore.js";
+import { createArtifactLinks } from "../services/artifactLinks.js";
+import {
+  validateUpload,
+  sanitizeFilename,
+} from "../services/uploadValidation.js";
+import {
+  cleanupTempFiles,
+  ensureDirectoryExists,
+  hashFile,
+} from "../utils/fileUtils.js";
+import { sendBusy } from "../middleware/backpressure.js";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import fs from "fs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Use the existing genuine directory path
+const genuineDir = path.join(__dirname, "..", "lib", "genuine");
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const overlayDir = path.join(uploadsDir, "overlays");
+const reportDir = path.join(uploadsDir, "reports");
+
+// Verifications requested with ?async=true. Jobs only hand their pages to the
+// comparison pool, which does the scheduling, so as many run as the pool can
+// hold tasks; a batch job submits each document as its own pool task. Past
+// that, workers.maxQueue jobs may wait and the rest are refused. Results are
+// kept for an hour.
+const verificationJobs = createJobQueue({
+  concurrency: serverConfig.workers.size + serverConfig.workers.maxQueue,
+  maxPending: serverConfig.workers.maxQueue,
+  retentionMs: 60 * 60 * 1000,
+});
+// Every verification is kept so disputes can be investigated later
+const verificationHistory = createHistoryStore(serverConfig.history.file);
+const artifactLinks = createArtifactLinks(uploadsDir);
+// Comment line sent to SSE clients so idle connections are not dropped
+const SSE_KEEP_ALIVE_MS = 15000;
+
+/**
+ * Describes an altered field, e.g. "net_amount: altered, 0.41 similarity"
+ * @param {Object} field Field zone verdict from compareImages
+ * @returns {string} One-line summary
+ */
+const describeField = (field) =>
+  `${field.name}: altered, ${field.similarity.toFixed(2)} similarity`;
+
+/**
+ * Shapes the verification result of one page for the response
+ * @param {Object} result Page result returned by compareImages
+ * @returns {Object} Verdict, regions, overlay link and details of the page
+ */
+const formatPageResult = (result) => {
+  const isGenuine = !result.isForged;
+  return {
+    isGenuine,
+    similarity: result.similarity,
+    message: isGenuine
+      ? "Document appears to be genuine"
+      : "Document appears to be forged",
+    bestMatch: result.bestMatch,
+    regions: result.regions || [],
+    characters: result.characters || [],
+    // Verdict on each field zone of the best match, when it has any
+    fields: result.fields || [],
+    alteredFields: (result.fields || [])
+      .filter((field) => field.status === "altered")
+      .map(describeField),
+    overlayUrl: artifactLinks.link("overlay", result.overlay),
+    details: result.details,
+  };
+};
+
+/**
+ * Saves a verification to the history
+ * @param {Object} file Uploaded file, as stored by multer
+ * @param {Object} response Response body built by runVerification
+ * @param {Object} document Result of compareDocument
+ * @param {string|null} batchId Batch the file was part of, if any
+ * @returns {Promise<Object|null>} The record, or null when it could not be saved
+ */
+const recordVerification = async (file, response, document, batchId) => {
+  try {
+    return verificationHistory.record({
+      fileName: file.originalname,
+      storedAs: response.storedAs,
+      fileHash: await hashFile(file.path),
+      fileSize: file.size,
+      verdict: response.isGenuine ? "genuine" : "forged",
+      isGenuine: response.isGenuine,
+      similarity: response.similarity,
+      threshold: response.details.threshold ?? null,
+      profile: response.profile ? response.profile.name : null,
+      bestMatch: response.bestMatch,
+      pageCount: response.pageCount,
+      regionCount: response.regions.length,
+      // Kept so reports can list what was flagged
+      regions: response.regions.map(({ x, y, width, height, detector }) => ({
+        x,
+        y,
+        width,
+        height,
+        detector,
+      })),
+      fields: response.fields.map(({ name, status, similarity }) => ({
+        name,
+        status,
+        similarity,
+      })),
+      // Per-detector scores of the page that decided the verdict
+      scores: Object.fromEntries(
+        (response.details.detectors || []).map(({ detector, score }) => [
+          detector,
+          score,
+        ])
+      ),
+      pages: document.pages.map(
+        ({ page, isForged, similarity, bestMatch, overlay }) => ({
+          page,
+          isGenuine: !isForged,
+          similarity,
+          bestMatch,
+          overlay: overlay || null,
+        })
+      ),
+      // Stored by name: links to it expire, so they are issued when read
+      overlay: document.weakestPage.overlay || null,
+      batchId,
+    });
+  } catch (error) {
+    // The verification itself succeeded, so still answer with it
+    console.error("Error saving verification to history:", error);
+    return null;
+  }
+};
+
+/**
+ * Verifies an uploaded document, saves it to the history and builds the
+ * response body
+ * @param {Object} file Uploaded file, as stored by multer
+ * @param {Object} body Request body, with optional documentType and font hints
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] Called with (stage, progress) as verification advances
+ * @param {string} [options.batchId] Batch the file is part of, if any
+ * @param {boolean} [options.waitForRoom] Wait for room in the comparison queue
+ *   instead of failing with 503, for work that was already accepted
+ * @returns {Promise<Object>} Response body
+ */
+const runVerification = async (
+  file,
+  body = {},
+  { onProgress, batchId = null, waitForRoom = false } = {}
+) => {
+  console.log(`File uploaded: ${file.originalname}`);
+  console.log(`Saved as: ${file.filename}`);
+  console.log(`Size: ${file.size} bytes`);
+
+  const uploadedFilePath = file.path;
+
+  // Create genuine directory if it doesn't exist
+  if (!fs.existsSync(genuineDir)) {
+    fs.mkdirSync(genuineDir, { recursive: true });
+  }
+
+  // Check file access
+  try {
+    await fs.promises.access(uploadedFilePath, fs.constants.R_OK);
+  } catch (err) {
+    throw new Error(`Cannot access uploaded file: ${err.message}`);
+  }
+
+  console.log("Running document comparison...");
+  // Optional hints from the client to narrow down the candidate references
+  const candidateFilter = {};
+  if (body && body.documentType) {
+    candidateFilter.documentType = body.documentType;
+  }
+  if (body && body.font) {
+    candidateFilter.font = body.font;
+  }
+
+  // Multi-page TIFFs and PDFs are verified page by page
+  const document = await compareDocumentInWorker(uploadedFilePath, genuineDir, {
+    overlayDir,
+    filter: candidateFilter,
+    onProgress,
+    waitForRoom,
+  });
+  // The page that decides the verdict is reported at the top level
+  const result = document.weakestPage;
+
+  // Log the comparison result for debugging
+  console.log(
+    "Comparison result:",
+    JSON.stringify({ ...document, pages: undefined }, null, 2)
+  );
+
+  // The verdict comes solely from the fused detector findings, and a
+  // document is forged as soon as one of its pages is
+  const finalIsGenuine = !document.isForged;
+
+  const response = {
+    success: true,
+    fileName: file.originalname,
+    storedAs: path.basename(file.path),
+    ...formatPageResult(result),
+    isGenuine: finalIsGenuine,
+    similarity: document.similarity,
+    message: finalIsGenuine
+      ? "Document appears to be genuine"
+      : "Document appears to be forged",
+    pageCount: document.pageCount,
+    // Thresholds and weights the deciding page was judged with
+    profile: result.details.profile || null,
+    pages: document.pages.map((page) => ({
+      page: page.page,
+      ...formatPageResult(page),
+    })),
+    details: {
+      ...result.details,
+      page: result.page,
+      comparisonResult: finalIsGenuine ? "genuine" : "forged",
+      // Add raw comparison data for debugging
+      rawComparisonData: {
+        similarityScore: document.similarity,
+        isForgedFromComparison: document.isForged,
+      },
+    },
+  };
+
+  const record = await recordVerification(file, response, document, batchId);
+  return {
+    ...response,
+    historyId: record ? record.id : null,
+  };
+};
+
+/**
+ * Queues a verification job, or answers 503 when too many jobs already wait
+ * @param {Object} res Express response, answered when the queue is full
+ * @param {Array<string>} uploads Files the job would verify, removed if refused
+ * @param {Function} task Job task, see createJobQueue
+ * @returns {Object|null} The queued job, or null once the 503 was sent
+ */
+const queueJob = (res, uploads, task) => {
+  try {
+    return verificationJobs.create(task);
+  } catch (error) {
+    if (error.status !== 503) throw error;
+    console.log(`Verification refused: ${error.message}`);
+    cleanupTempFiles(uploads);
+    sendBusy(res, comparisonPool.retryAfter(verificationJobs.pendingCount()));
+    return null;
+  }
+};
+
+/**
+ * Verifies an uploaded document: an image, a multi-page TIFF or a scanned
+ * PDF. PDFs are not rendered, only their embedded page scans are verified;
+ * a born-digital PDF (vector text) is answered 415 with check "pdf-vector".
+ * With ?async=true the verification is queued as a job and its ID returned
+ * right away; otherwise the request waits for the result, however long the
+ * comparison takes.
+ */
 export const verifyDocument = async (req, res) => {
-  let responseWasSent = false;
-
-  // Reduce timeout to 30 seconds to avoid long waits
-  const responseTimeout = setTimeout(() => {
-    if (!responseWasSent) {
-      responseWasSent = true;
-      console.error("Request timed out - sending fallback response");
-      return res.status(500).json({
-        success: false,
-        message:
-          "Request timed out. The server is taking too long to process the request.",
-        fallback: true,
-      });
-    }
-  }, 30000); // 30 second timeout
+  console.log("Document verification started");
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No file uploaded or file is not an image",
+    });
+  }
+
+  if (req.query.async === "true") {
+    const { file, body } = req;
+    const job = queueJob(res, [file.path], (reportProgress) =>
+      runVerification(file, body, {
+        onProgress: reportProgress,
+        waitForRoom: true,
+      })
+    );
+    if (!job) return;
+    console.log(`Verification queued as job ${job.id}`);
+
+    return res.status(202).json({
+      success: true,
+      message: "Verification queued",
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/documents/jobs/${job.id}`,
+      eventsUrl: `/api/documents/jobs/${job.id}/events`,
+    });
+  }
 
   try {
-    console.log("Document verification started");
-
-    if (!req.file) {
-      clearTimeout(responseTimeout);
-      responseWasSent = true;
-      return res.status(400).json({
-        success: false,
-        message: "No file uploaded or file is not an image",
-      });
-    }
+    return res.status(200).json(await runVerification(req.file, req.body));
+  } catch (error) {
+    if (error.retryAfter) return sendBusy(res, error.retryAfter);
+    console.error("Error in verifyDocument:", error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: "Error processing document",
+      error: error.message,
+      check: error.check || null,
+    });
+  }
+};
 
-    console.log(`File uploaded: ${req.file.originalname}`);
-    console.log(`Saved as: ${req.file.filename}`);
-    console.log(`Size: ${req.file.size} bytes`);
+/**
+ * Returns the status of a verification job, with its result once completed
+ */
+export const getJob = (req, res) => {
+  const job = verificationJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job not found: ${req.params.id}`,
+    });
+  }
 
-    // Use the existing genuine directory path
-    const genuineDir = path.join(__dirname, "..", "lib", "genuine");
-    const uploadedFilePath = req.file.path;
+  return res.status(200).json({ success: true, job });
+};
 
-    // Create genuine directory if it doesn't exist
-    if (!fs.existsSync(genuineDir)) {
-      fs.mkdirSync(genuineDir, { recursive: true });
+/**
+ * Streams a verification job's progress as Server-Sent Events: "progress"
+ * for every stage, then "completed" (with the result) or "failed", after
+ * which the stream closes
+ */
+export const streamJobEvents = (req, res) => {
+  const job = verificationJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job not found: ${req.params.id}`,
+    });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const isFinished = (update) =>
+    update.status === "completed" || update.status === "failed";
+  // Progress events leave the (large) result out
+  const progressOf = ({ result, ...update }) => update;
+
+  if (isFinished(job)) {
+    send(job.status, job);
+    return res.end();
+  }
+  send("progress", progressOf(job));
+
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    SSE_KEEP_ALIVE_MS
+  );
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+  const unsubscribe = verificationJobs.subscribe(job.id, (update) => {
+    if (isFinished(update)) {
+      send(update.status, update);
+      close();
+      res.end();
+    } else {
+      send("progress", progressOf(update));
     }
+  });
+  req.on("close", close);
+};
 
-    // Check for various hints in the filename
-    const uploadedFileName = req.file.originalname.toLowerCase();
-    const isGenuineHint =
-      uploadedFileName.includes("genuine") ||
-      uploadedFileName.includes("original") ||
-      uploadedFileName.includes("authentic");
-    const isFraudHint =
-      uploadedFileName.includes("fraud") ||
-      uploadedFileName.includes("fake") ||
-      uploadedFileName.includes("forged");
-
-    // Check for fraud-related paths in the uploaded file path
-    const isFraudPath =
-      uploadedFilePath.includes("CopyPaste_Inter") ||
-      uploadedFilePath.includes("CopyPaste_Intra") ||
-      uploadedFilePath.includes("Imitation");
-
-    // If no genuine files exist but we have a file with "genuine" in the name,
-    // we could add it as the first reference
-    const genuineFiles = fs
-      .readdirSync(genuineDir)
-      .filter((file) => /\.(jpg|jpeg|png|tif|tiff|bmp)$/i.test(file));
-
-    if (genuineFiles.length === 0) {
-      if (isGenuineHint && !isFraudHint && !isFraudPath) {
-        try {
-          const genuineFilePath = path.join(genuineDir, req.file.originalname);
-          fs.copyFileSync(uploadedFilePath, genuineFilePath);
-          console.log(`Added first genuine reference: ${genuineFilePath}`);
-
-          clearTimeout(responseTimeout);
-          responseWasSent = true;
-          return res.status(200).json({
-            success: true,
-            fileName: req.file.originalname,
-            storedAs: path.basename(req.file.path),
-            isGenuine: true,
-            similarity: 100,
-            message: "Document added as the first genuine reference",
-            details: {
-              action: "added_as_reference",
-            },
-          });
-        } catch (err) {
-          console.error("Error adding file as reference:", err);
-        }
+/**
+ * Turns the uploads of a batch into the list of documents to verify: ZIP
+ * archives are replaced by the files they contain, written next to the uploads
+ * one at a time
+ * @param {Array<Object>} uploads Files stored by multer
+ * @param {string} batchId Batch ID, used to name the extracted files
+ * @returns {Promise<Array<Object>>} Documents, shaped like multer files
+ */
+const expandBatchUploads = async (uploads, batchId) => {
+  const { maxFiles, maxTotalSize } = serverConfig.batch;
+  const documents = [];
+  const extracted = [];
+  const archives = new Set(uploads.filter((upload) => isZipFile(upload.path)));
+  // Plain uploads count towards the total as much as extracted files
+  let totalSize = uploads
+    .filter((upload) => !archives.has(upload))
+    .reduce((sum, upload) => sum + upload.size, 0);
+
+  try {
+    for (const upload of uploads) {
+      if (!archives.has(upload)) {
+        documents.push(upload);
+        continue;
       }
 
-      clearTimeout(responseTimeout);
-      responseWasSent = true;
-      return res.status(200).json({
-        success: true,
-        fileName: req.file.originalname,
-        storedAs: path.basename(req.file.path),
-        isGenuine: isGenuineHint && !isFraudHint && !isFraudPath,
-        similarity: 0,
-        message: "No genuine references available for comparison",
-        details: {
-          filenameHints: {
-            suggestionOfGenuine: isGenuineHint,
-            suggestionOfFraud: isFraudHint || isFraudPath,
-          },
+      const entries = await extractZipArchive(
+        upload.path,
+        {
+          maxEntries: maxFiles - documents.length,
+          maxEntrySize: serverConfig.uploads.maxSize,
+          maxTotalSize: maxTotalSize - totalSize,
         },
+        (name, index) => {
+          let safeName;
+          try {
+            safeName = sanitizeFilename(name);
+          } catch (error) {
+            safeName = "unnamed";
+          }
+          return path.join(
+            uploadsDir,
+            `batch-${batchId}-${documents.length + index}-${safeName}`
+          );
+        }
+      );
+      entries.forEach((entry) => {
+        totalSize += entry.size;
+        extracted.push(entry.path);
+        documents.push({
+          originalname: `${upload.originalname}/${entry.name}`,
+          filename: path.basename(entry.path),
+          path: entry.path,
+          size: entry.size,
+        });
       });
+      // The archive itself is not a document
+      cleanupTempFiles([upload.path]);
     }
 
-    // Check file access
-    try {
-      await fs.promises.access(uploadedFilePath, fs.constants.R_OK);
-    } catch (err) {
-      clearTimeout(responseTimeout);
-      responseWasSent = true;
-      return res.status(500).json({
-        success: false,
-        message: `Cannot access uploaded file: ${err.message}`,
-      });
+    if (documents.length > maxFiles) {
+      const error = new Error(`A batch may contain at most ${maxFiles} files`);
+      error.status = 413;
+      throw error;
     }
+    if (totalSize > maxTotalSize) {
+      const error = new Error("The batch is too large");
+      error.status = 413;
+      throw error;
+    }
+  } catch (error) {
+    cleanupTempFiles(extracted);
+    throw error;
+  }
+  return documents;
+};
 
-    console.log("Running document comparison...");
-    const result = await compareImages(uploadedFilePath, genuineDir);
+/**
+ * Verifies the documents of a batch, a few at a time, and saves the report
+ * @param {string} batchId Batch ID
+ * @param {Array<Object>} documents Documents returned by expandBatchUploads
+ * @param {Object} body Request body, with hints applied to every document
+ * @param {Function} [onProgress] Called with (stage, progress) after each document
+ * @returns {Promise<Object>} Report with a result per file and a summary
+ */
+const runBatch = async (batchId, documents, body, onProgress = () => {}) => {
+  const startedAt = Date.now();
+  let completed = 0;
+  onProgress(`verified 0/${documents.length}`, 0);
 
-    // Log the comparison result for debugging
-    console.log("Comparison result:", JSON.stringify(result, null, 2));
+  const results = await mapWithConcurrency(
+    documents,
+    serverConfig.batch.concurrency,
+    async (document) => {
+      const documentStart = Date.now();
+      let row;
+      try {
+        // Files inside archives skipped the upload checks, so check them all
+        await validateUpload(document.path, {
+          allowedFormats: serverConfig.uploads.documentFormats,
+          maxPixels: serverConfig.uploads.maxPixels,
+        });
+        // The batch was accepted, so its documents wait their turn
+        const result = await runVerification(document, body, {
+          batchId,
+          waitForRoom: true,
+        });
+        row = {
+          file: document.originalname,
+          storedAs: document.filename,
+          status: result.isGenuine ? "genuine" : "forged",
+          isGenuine: result.isGenuine,
+          similarity: Number(result.similarity.toFixed(2)),
+          profile: result.profile ? result.profile.name : null,
+          bestMatch: result.bestMatch,
+          pageCount: result.pageCount,
+          regionCount: result.regions.length,
+          overlayUrl: result.overlayUrl,
+          historyId: result.historyId,
+        };
+      } catch (error) {
+        // One unreadable file must not sink the whole batch
+        console.error(`Error verifying ${document.originalname}:`, error);
+        if (error.check) cleanupTempFiles([document.path]);
+        row = {
+          file: document.originalname,
+          storedAs: document.filename,
+          status: "error",
+          error: error.check
+            ? `Upload rejected (${error.check}): ${error.message}`
+            : error.message,
+        };
+      }
+      row.durationMs = Date.now() - documentStart;
 
-    // Once we have a result, immediately clear the timeout
-    clearTimeout(responseTimeout);
+      completed++;
+      onProgress(
+        `verified ${completed}/${documents.length}`,
+        completed / documents.length
+      );
+      return row;
+    }
+  );
 
-    if (!responseWasSent) {
-      responseWasSent = true;
+  const report = {
+    batchId,
+    createdAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    summary: summarizeBatch(results),
+    results,
+  };
+  ensureDirectoryExists(reportDir);
+  fs.writeFileSync(
+    path.join(reportDir, `batch-${batchId}.json`),
+    JSON.stringify(report, null, 2)
+  );
+  return report;
+};
 
-      // Define a higher similarity threshold for genuine documents
-      const similarityThreshold = 85; // Increased from 50 to 85
+/**
+ * Sends a batch report as JSON or, with ?format=csv, as a CSV download
+ */
+const sendBatchReport = (req, res, report, status = 200) => {
+  if (req.query.format === "csv") {
+    res.attachment(`batch-${report.batchId}.csv`);
+    return res.status(status).type("text/csv").send(batchReportToCsv(report));
+  }
 
-      // Make the default assumption that the document is forged unless proven otherwise
-      let finalIsGenuine = false;
+  const reportUrl = `/api/documents/batches/${report.batchId}/report`;
+  return res.status(status).json({
+    success: true,
+    ...report,
+    reportUrls: { json: reportUrl, csv: `${reportUrl}?format=csv` },
+  });
+};
 
-      // Only mark as genuine if similarity is high enough or there are strong indicators
-      if (result.similarity >= similarityThreshold || isGenuineHint) {
-        finalIsGenuine = true;
-      }
+/**
+ * Verifies many documents at once: several uploaded files and/or ZIP archives
+ * of them. With ?async=true the batch runs as a job; otherwise the request
+ * waits for the aggregated report.
+ */
+export const verifyBatch = async (req, res) => {
+  console.log("Batch verification started");
 
-      // If filename or path explicitly suggests fraud, mark as forged
-      if (isFraudHint || isFraudPath) {
-        finalIsGenuine = false;
-      }
+  const uploads = req.files || [];
+  if (uploads.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "No files uploaded",
+    });
+  }
 
-      // If the comparison result indicates forgery, respect that
-      if (result.isForged) {
-        finalIsGenuine = false;
-      }
+  const batchId = crypto.randomUUID();
+  let documents;
+  try {
+    documents = await expandBatchUploads(uploads, batchId);
+  } catch (error) {
+    cleanupTempFiles(uploads.map((upload) => upload.path));
+    console.error("Error reading batch uploads:", error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: `Error reading batch: ${error.message}`,
+    });
+  }
+  console.log(`Batch ${batchId} has ${documents.length} document(s)`);
 
-      return res.status(200).json({
-        success: true,
-        fileName: req.file.originalname,
-        storedAs: path.basename(req.file.path),
-        isGenuine: finalIsGenuine,
-        similarity: result.similarity,
-        message: finalIsGenuine
-          ? "Document appears to be genuine"
-          : "Document appears to be forged",
-        bestMatch: result.bestMatch,
-        details: {
-          ...result.details,
-          threshold: similarityThreshold,
-          comparisonResult: finalIsGenuine ? "genuine" : "forged",
-          filenameHints: {
-            suggestionOfGenuine: isGenuineHint,
-            suggestionOfFraud: isFraudHint,
-          },
-          pathHints: {
-            suggestionOfFraud: isFraudPath,
-          },
-          // Add raw comparison data for debugging
-          rawComparisonData: {
-            similarityScore: result.similarity,
-            isForgedFromComparison: result.isForged,
-          },
-        },
-      });
-    }
+  if (req.query.async === "true") {
+    const { body } = req;
+    const job = queueJob(
+      res,
+      documents.map((document) => document.path),
+      (reportProgress) => runBatch(batchId, documents, body, reportProgress)
+    );
+    if (!job) return;
+    console.log(`Batch queued as job ${job.id}`);
+
+    return res.status(202).json({
+      success: true,
+      message: "Batch verification queued",
+      batchId,
+      documentCount: documents.length,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/documents/jobs/${job.id}`,
+      eventsUrl: `/api/documents/jobs/${job.id}/events`,
+    });
+  }
+
+  try {
+    const report = await runBatch(batchId, documents, req.body);
+    return sendBatchReport(req, res, report);
   } catch (error) {
-    console.error("Error in verifyDocument:", error);
-    if (!responseWasSent) {
-      clearTimeout(responseTimeout);
-      responseWasSent = true;
-      return res.status(500).json({
-        success: false,
-        message: "Error processing document",
-        error: error.message,
-      });
-    }
+    console.error("Error in verifyBatch:", error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: "Error processing batch",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Downloads the report of a finished batch as JSON or, with ?format=csv, CSV
+ */
+export const getBatchReport = (req, res) => {
+  // Batch IDs are UUIDs; anything else could point outside the report folder
+  if (!/^[0-9a-f-]{36}$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid batch ID",
+    });
+  }
+
+  const reportPath = path.join(reportDir, `batch-${req.params.id}.json`);
+  if (!fs.existsSync(reportPath)) {
+    return res.status(404).json({
+      success: false,
+      message: `Batch report not found: ${req.params.id}`,
+    });
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  if (req.query.format !== "csv") {
+    res.attachment(`batch-${report.batchId}.json`);
   }
+  return sendBatchReport(req, res, report);
 };
@@ -0,0 +1,143 @@
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { createHistoryStore } from "../services/historyStore.js";
+import { createArtifactLinks } from "../services/artifactLinks.js";
+import { serverConfig } from "../config/server.js";
+import { cleanupTempFiles } from "../utils/fileUtils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const verificationHistory = createHistoryStore(serverConfig.history.file);
+const artifactLinks = createArtifactLinks(uploadsDir);
+
+/**
+ * Adds fresh expiring links to a record's files, while they are still kept
+ * @param {Object} record History record
+ * @returns {Object} The record with documentUrl and overlayUrl
+ */
+const withLinks = (record) => {
+  const linkIfKept = (kind, name) => {
+    const artifactPath = artifactLinks.pathOf(kind, name);
+    return artifactPath && fs.existsSync(artifactPath)
+      ? artifactLinks.link(kind, name)
+      : null;
+  };
+  return {
+    ...record,
+    documentUrl: linkIfKept("upload", record.storedAs),
+    overlayUrl: linkIfKept("overlay", record.overlay),
+  };
+};
+
+/**
+ * Sends a history error with its status, defaulting to 500
+ * @param {Object} res Express response
+ * @param {Error} error Error thrown by the history store
+ * @param {string} action What was being attempted, for the message
+ */
+const sendError = (res, error, action) => {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`Error ${action}:`, error);
+  }
+  return res.status(status).json({
+    success: false,
+    message: `Error ${action}: ${error.message}`,
+  });
+};
+
+// Query parameters accepted by listVerifications
+const LIST_FILTERS = [
+  "verdict",
+  "fileHash",
+  "fileName",
+  "bestMatch",
+  "batchId",
+  "from",
+  "to",
+  "limit",
+  "offset",
+];
+
+/**
+ * Lists past verifications, newest first. Filters come from the query string:
+ * verdict, fileHash, fileName, bestMatch, batchId, from and to, with limit and
+ * offset for paging.
+ */
+export const listVerifications = (req, res) => {
+  try {
+    const filters = {};
+    for (const name of LIST_FILTERS) {
+      const value = req.query[name];
+      // A repeated parameter (?fileHash=a&fileHash=b) arrives as an array
+      if (value !== undefined && typeof value !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be given once, as a single value`,
+        });
+      }
+      filters[name] = value;
+    }
+    const { total, limit, offset, records } = verificationHistory.list(filters);
+
+    return res.status(200).json({
+      success: true,
+      total,
+      count: records.length,
+      limit,
+      offset,
+      verifications: records.map(withLinks),
+    });
+  } catch (error) {
+    return sendError(res, error, "retrieving verification history");
+  }
+};
+
+export const getVerification = (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      verification: withLinks(verificationHistory.get(req.params.id)),
+    });
+  } catch (error) {
+    return sendError(res, error, "retrieving verification");
+  }
+};
+
+/**
+ * Deletes the files of a verification (the upload and its overlays) ahead of
+ * the retention purge. The history record itself is kept, noting the deletion.
+ */
+export const deleteVerificationFiles = (req, res) => {
+  try {
+    const record = verificationHistory.get(req.params.id);
+    // The decisive page's overlay is also the record's own
+    const overlays = new Set([
+      record.overlay,
+      ...(record.pages || []).map((page) => page.overlay),
+    ]);
+    const files = [
+      artifactLinks.pathOf("upload", record.storedAs),
+      ...[...overlays].map((overlay) => artifactLinks.pathOf("overlay", overlay)),
+    ].filter((file) => file && fs.existsSync(file));
+    cleanupTempFiles(files);
+
+    const verification = verificationHistory.amend(record.id, {
+      filesDeletedAt: new Date().toISOString(),
+      filesDeletedBy: req.apiKey ? req.apiKey.id : null,
+    });
+    console.log(`Deleted ${files.length} file(s) of verification ${record.id}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Verification files deleted",
+      deletedCount: files.length,
+      verification: withLinks(verification),
+    });
+  } catch (error) {
+    return sendError(res, error, "deleting verification files");
+  }
+};
@@ -0,0 +1,178 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+import {
+  createReferenceLibrary,
+  normalizeZones,
+} from "../services/referenceLibrary.js";
+import { getHashIndex } from "../services/hashIndex.js";
+import { cleanupTempFiles } from "../utils/fileUtils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const genuineDir = path.join(__dirname, "..", "lib", "genuine");
+const referenceLibrary = createReferenceLibrary(genuineDir);
+const hashIndex = getHashIndex(genuineDir);
+
+/**
+ * Sends a library error with its status, defaulting to 500
+ * @param {Object} res Express response
+ * @param {Error} error Error thrown by the reference library
+ * @param {string} action What was being attempted, for the message
+ */
+const sendError = (res, error, action) => {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`Error ${action}:`, error);
+  }
+  return res.status(status).json({
+    success: false,
+    message: `Error ${action}: ${error.message}`,
+  });
+};
+
+/**
+ * Registers an uploaded genuine document along with its metadata.
+ * Expects the file to already be stored in the library by the upload middleware.
+ */
+export const addReference = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No file uploaded",
+    });
+  }
+
+  try {
+    const reference = referenceLibrary.add(req.file.filename, req.body);
+    await hashIndex.add(req.file.filename);
+
+    return res.status(200).json({
+      success: true,
+      message: "Genuine document added successfully",
+      file: {
+        filename: req.file.filename,
+        originalname: req.file.originalname,
+        size: req.file.size,
+        path: req.file.path,
+      },
+      reference,
+    });
+  } catch (error) {
+    // Do not keep an image whose metadata was rejected
+    cleanupTempFiles([req.file.path]);
+    return sendError(res, error, "adding genuine document");
+  }
+};
+
+export const listReferences = (req, res) => {
+  try {
+    const references = referenceLibrary.list({
+      documentType: req.query.documentType,
+      font: req.query.font,
+      fontSize: req.query.fontSize,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: references.length,
+      genuineDocuments: references.map((reference) => reference.filename),
+      references,
+    });
+  } catch (error) {
+    return sendError(res, error, "retrieving genuine documents");
+  }
+};
+
+export const getReference = (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      reference: referenceLibrary.get(req.params.id),
+    });
+  } catch (error) {
+    return sendError(res, error, "retrieving reference");
+  }
+};
+
+export const updateReference = (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      message: "Reference metadata updated",
+      reference: referenceLibrary.updateMetadata(req.params.id, req.body || {}),
+    });
+  } catch (error) {
+    return sendError(res, error, "updating reference");
+  }
+};
+
+export const replaceReferenceImage = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No file uploaded",
+    });
+  }
+
+  try {
+    const { zones = [] } = referenceLibrary.get(req.params.id);
+    const reference = referenceLibrary.replaceImage(
+      req.params.id,
+      req.file.path,
+      req.file.format
+    );
+    await hashIndex.update(reference.filename);
+
+    return res.status(200).json({
+      success: true,
+      message: zones.length
+        ? `Reference image replaced; its ${zones.length} field zone(s) were ` +
+          "removed and must be defined again for the new image"
+        : "Reference image replaced",
+      reference,
+    });
+  } catch (error) {
+    cleanupTempFiles([req.file.path]);
+    return sendError(res, error, "replacing reference image");
+  }
+};
+
+export const deleteReference = (req, res) => {
+  try {
+    const reference = referenceLibrary.remove(req.params.id);
+    hashIndex.remove(reference.filename);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reference deleted",
+      reference,
+    });
+  } catch (error) {
+    return sendError(res, error, "deleting reference");
+  }
+};
+
+/**
+ * Replaces the field zones of a reference, e.g.
+ * { "zones": [{ "name": "net_amount", "x": 1540, "y": 505, "width": 140, "height": 50 }] }
+ * Coordinates are pixels of the reference image; an empty list removes the zones.
+ */
+export const updateReferenceZones = async (req, res) => {
+  try {
+    const reference = referenceLibrary.get(req.params.id);
+    const image = await sharp(reference.path).metadata();
+    const zones = normalizeZones((req.body || {}).zones, image);
+
+    return res.status(200).json({
+      success: true,
+      message: zones.length
+        ? `${zones.length} field zone(s) saved`
+        : "Field zones removed",
+      reference: referenceLibrary.setZones(req.params.id, zones),
+    });
+  } catch (error) {
+    return sendError(res, error, "updating field zones");
+  }
+};
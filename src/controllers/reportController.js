@@ -0,0 +1,99 @@
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { createHistoryStore } from "../services/historyStore.js";
+import { createReportSigner } from "../services/reportSigner.js";
+import {
+  buildReportData,
+  renderHtmlReport,
+  renderPdfReport,
+} from "../services/reportService.js";
+import { serverConfig } from "../config/server.js";
+import { cleanupTempFiles } from "../utils/fileUtils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const genuineDir = path.join(__dirname, "..", "lib", "genuine");
+const verificationHistory = createHistoryStore(serverConfig.history.file);
+const reportSigner = createReportSigner(serverConfig.reports.signingKeyFile);
+
+const RENDERERS = {
+  html: { render: renderHtmlReport, contentType: "text/html" },
+  pdf: { render: renderPdfReport, contentType: "application/pdf" },
+};
+
+/**
+ * Downloads a signed report of a past verification, as HTML (default) or,
+ * with ?format=pdf, as PDF
+ */
+export const getVerificationReport = async (req, res) => {
+  const format = req.query.format || "html";
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(RENDERERS).join(", ")}`,
+    });
+  }
+
+  try {
+    const verification = verificationHistory.get(req.params.id);
+    const data = await buildReportData(verification, { uploadsDir, genuineDir });
+    const report = reportSigner.sign(
+      renderer.render(data, { keyId: reportSigner.keyId() }),
+      { verificationId: verification.id, format }
+    );
+
+    res.attachment(`verification-report-${verification.id}.${format}`);
+    return res.status(200).type(renderer.contentType).send(report);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      console.error("Error generating verification report:", error);
+    }
+    return res.status(status).json({
+      success: false,
+      message: `Error generating verification report: ${error.message}`,
+    });
+  }
+};
+
+/**
+ * Checks the signature of an uploaded report. Answers 200 either way; `valid`
+ * tells whether the report is unaltered and was signed by this server.
+ */
+export const verifyReportSignature = (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "No report uploaded",
+    });
+  }
+
+  try {
+    const result = reportSigner.verify(fs.readFileSync(req.file.path));
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error verifying report signature:", error);
+    return res.status(500).json({
+      success: false,
+      message: `Error verifying report signature: ${error.message}`,
+    });
+  } finally {
+    // Reports are checked, not kept
+    cleanupTempFiles([req.file.path]);
+  }
+};
+
+/**
+ * Returns the public key reports are signed with, for checking them offline
+ */
+export const getReportPublicKey = (req, res) =>
+  res.status(200).json({
+    success: true,
+    algorithm: "Ed25519",
+    keyId: reportSigner.keyId(),
+    publicKey: reportSigner.publicKeyPem(),
+  });
@@ -6,6 +6,10 @@ import { fileURLToPath } from "url";
 import fs from "fs";
 import documentRoutes from "./routes/documentRoutes.js";
 import { ensureDirectoryExists } from "./utils/fileUtils.js";
+import { getHashIndex } from "./services/hashIndex.js";
+import { describeAuth } from "./middleware/auth.js";
+import { startRetentionSchedule } from "./services/retentionService.js";
+import { serverConfig } from "./config/server.js";
 
 dotenv.config();
 
@@ -23,8 +27,15 @@ app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use(
   cors({
     origin: "*", // Allow all origins
-    methods: ["GET", "POST"], // Allowed methods
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"], // Allowed methods
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    // Let browser clients see their rate limit
+    exposedHeaders: [
+      "Retry-After",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+      "X-RateLimit-Reset",
+    ],
   })
 );
 
@@ -48,9 +59,6 @@ app.get("/health", (req, res) => {
 // Use document routes
 app.use("/api/documents", documentRoutes);
 
-// Serve uploaded files for development/debugging
-app.use("/uploads", express.static(uploadsDir));
-
 // Global error handler
 app.use((err, req, res, next) => {
   console.error("Global error handler caught:", err);
@@ -66,6 +74,30 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Uploads directory: ${uploadsDir}`);
   console.log(`Genuine documents directory: ${genuineDir}`);
+  console.log(describeAuth());
+  const { size, maxQueue } = serverConfig.workers;
+  console.log(
+    `Comparisons run on ${size} worker thread(s), ${maxQueue} may wait in the queue`
+  );
+
+  // Uploads hold personal data: keep them only as long as configured
+  const { ttlHours, purgeIntervalMinutes } = serverConfig.retention;
+  console.log(`Uploads are kept for ${ttlHours} hour(s)`);
+  if (!serverConfig.retention.linkSecretConfigured) {
+    console.error(
+      "ARTIFACT_LINK_SECRET is not set: artifact links are signed with a random " +
+        "key, stop working when the server restarts and are refused by other instances"
+    );
+  }
+  startRetentionSchedule(uploadsDir, {
+    ttlMs: ttlHours * 60 * 60 * 1000,
+    intervalMs: purgeIntervalMinutes * 60 * 1000,
+  });
+
+  // Fingerprint the references up front so the first verification is not slowed down
+  getHashIndex(genuineDir)
+    .build()
+    .catch((error) => console.error("Error building hash index:", error));
 });
 
 // Handle unhandled promise rejections
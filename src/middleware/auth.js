@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import { serverConfig } from "../config/server.js";
+
+// Each role may also do everything the roles before it may
+const ROLES = ["verifier", "admin"];
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest();
+
+// Keys are kept and compared as hashes; their id (a hash prefix) is what gets
+// logged, never the key itself
+const apiKeys = serverConfig.auth.apiKeys
+  .filter(({ role }) => {
+    if (ROLES.includes(role)) return true;
+    console.error(`Ignoring API key with unknown role "${role}"`);
+    return false;
+  })
+  .map(({ key, role, requestsPerMinute }) => ({
+    id: hashKey(key).toString("hex").slice(0, 12),
+    hash: hashKey(key),
+    role,
+    requestsPerMinute:
+      requestsPerMinute || serverConfig.auth.rateLimit.requestsPerMinute,
+  }));
+
+// Requests made in the current rate-limit window, by key id
+const rateLimitWindows = new Map();
+
+/**
+ * Reads the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Object} req Express request
+ * @returns {string|null} The key, or null when none was sent
+ */
+const readApiKey = (req) => {
+  const authorization = req.get("authorization");
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : null;
+  }
+  return req.get("x-api-key") || null;
+};
+
+const findApiKey = (key) => {
+  const hash = hashKey(key);
+  return (
+    apiKeys.find((entry) => crypto.timingSafeEqual(entry.hash, hash)) || null
+  );
+};
+
+/**
+ * Counts a request against its key's fixed one-minute window
+ * @param {Object} apiKey Key making the request
+ * @param {Object} res Express response, given the rate-limit headers
+ * @returns {number} Seconds until the key may retry, or 0 when within its limit
+ */
+const consumeRequest = (apiKey, res) => {
+  const now = Date.now();
+  let window = rateLimitWindows.get(apiKey.id);
+  if (!window || now >= window.resetAt) {
+    window = { count: 0, resetAt: now + serverConfig.auth.rateLimit.windowMs };
+    rateLimitWindows.set(apiKey.id, window);
+  }
+  window.count++;
+
+  const limit = apiKey.requestsPerMinute;
+  res.set({
+    "X-RateLimit-Limit": String(limit),
+    "X-RateLimit-Remaining": String(Math.max(0, limit - window.count)),
+    "X-RateLimit-Reset": String(Math.ceil(window.resetAt / 1000)),
+  });
+  return window.count <= limit ? 0 : Math.ceil((window.resetAt - now) / 1000);
+};
+
+/**
+ * Middleware letting through only requests made with an API key of the given
+ * role (or a higher one), within that key's rate limit. The key is available
+ * to the handlers as req.apiKey = { id, role }.
+ * @param {string} role "verifier" or "admin"
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (role) => (req, res, next) => {
+  if (serverConfig.auth.disabled) return next();
+
+  const key = readApiKey(req);
+  if (!key) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({
+      success: false,
+      message: "An API key is required (Authorization: Bearer <key>)",
+    });
+  }
+
+  const apiKey = findApiKey(key);
+  if (!apiKey) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      success: false,
+      message: "Invalid API key",
+    });
+  }
+
+  const retryAfter = consumeRequest(apiKey, res);
+  if (retryAfter > 0) {
+    console.log(`Rate limit exceeded for API key ${apiKey.id}`);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: `Rate limit exceeded, retry in ${retryAfter} seconds`,
+    });
+  }
+
+  if (ROLES.indexOf(apiKey.role) < ROLES.indexOf(role)) {
+    console.log(
+      `API key ${apiKey.id} (${apiKey.role}) denied ${req.method} ${req.originalUrl}`
+    );
+    return res.status(403).json({
+      success: false,
+      message: `This endpoint requires the ${role} role`,
+    });
+  }
+
+  req.apiKey = { id: apiKey.id, role: apiKey.role };
+  next();
+};
+
+/**
+ * Describes how requests are authenticated, for the startup log
+ * @returns {string} Summary of the authentication settings
+ */
+export const describeAuth = () => {
+  if (serverConfig.auth.disabled) {
+    return "Authentication DISABLED (AUTH_DISABLED=true): every request is accepted";
+  }
+  if (apiKeys.length === 0) {
+    return "No API keys configured (API_KEYS): protected endpoints will answer 401";
+  }
+  const counts = ROLES.map(
+    (role) => `${apiKeys.filter((apiKey) => apiKey.role === role).length} ${role}`
+  );
+  return `Authentication enabled: ${counts.join(", ")} key(s)`;
+};
@@ -0,0 +1,25 @@
+/**
+ * Middleware answering 503 with Retry-After while a worker pool cannot take
+ * more work, before the upload is even read
+ * @param {Object} pool Pool created by createWorkerPool
+ * @returns {Function} Express middleware
+ */
+export const rejectWhenBusy = (pool) => (req, res, next) => {
+  if (!pool.isFull()) return next();
+  return sendBusy(res, pool.retryAfter());
+};
+
+/**
+ * Tells the client the server is busy and when to retry
+ * @param {Object} res Express response
+ * @param {number} retryAfter Seconds to wait
+ */
+export const sendBusy = (res, retryAfter) => {
+  console.log(`Server busy, asking the client to retry in ${retryAfter}s`);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(503).json({
+    success: false,
+    message: `The server is busy with other documents, retry in ${retryAfter} seconds`,
+    retryAfter,
+  });
+};
@@ -0,0 +1,25 @@
+/**
+ * Middleware refusing a request body larger than `maxBytes` before it is read.
+ * Multer only limits each file, so a body of many files is checked here from
+ * its declared length; bodies without one cannot be checked and are refused.
+ * @param {number} maxBytes Largest body accepted, in bytes
+ * @returns {Function} Express middleware
+ */
+export const limitRequestSize = (maxBytes) => (req, res, next) => {
+  const declared = req.headers["content-length"];
+  if (declared === undefined) {
+    return res.status(411).json({
+      success: false,
+      message: "Send the request with a Content-Length header",
+    });
+  }
+  if (Number(declared) > maxBytes) {
+    return res.status(413).json({
+      success: false,
+      message: `Request is larger than the ${Math.round(
+        maxBytes / (1024 * 1024)
+      )} MB limit`,
+    });
+  }
+  return next();
+};
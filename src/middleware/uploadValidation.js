@@ -0,0 +1,43 @@
+import { validateUpload } from "../services/uploadValidation.js";
+import { serverConfig } from "../config/server.js";
+import { cleanupTempFiles } from "../utils/fileUtils.js";
+
+/**
+ * Middleware checking the files stored by multer (req.file, or every file of
+ * req.files) before a handler reads them: real format and pixel dimensions.
+ * When one is rejected they are all deleted and the client told which check
+ * failed. Requests without a file are passed on, for the handler to answer.
+ * @param {Array<string>} allowedFormats Formats as named by detectFileFormat
+ * @returns {Function} Express middleware
+ */
+export const validateUploadedFile = (allowedFormats) => async (req, res, next) => {
+  // multer.fields() keeps the files by field name
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  if (files.length === 0) return next();
+
+  // The file being checked, named when it is rejected
+  let current;
+  try {
+    for (const file of files) {
+      current = file;
+      const { format } = await validateUpload(file.path, {
+        allowedFormats,
+        maxPixels: serverConfig.uploads.maxPixels,
+      });
+      file.format = format;
+    }
+  } catch (error) {
+    cleanupTempFiles(files.map((file) => file.path));
+    if (!error.check) {
+      console.error("Error validating upload:", error);
+    } else {
+      console.log(`Upload ${current.originalname} rejected: ${error.message}`);
+    }
+    return res.status(error.status || 500).json({
+      success: false,
+      message: `Upload rejected: ${error.message}`,
+      check: error.check || null,
+    });
+  }
+  next();
+};
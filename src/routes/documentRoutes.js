@@ -1,10 +1,48 @@
 import express from "express";
 import multer from "multer";
 import path from "path";
-import { fileURLToPath } from "url";
-import { verifyDocument } from "../controllers/documentController.js";
-import { ensureDirectoryExists } from "../utils/fileUtils.js";
 import fs from "fs";
+import { fileURLToPath } from "url";
+import {
+  verifyDocument,
+  getJob,
+  streamJobEvents,
+  verifyBatch,
+  getBatchReport,
+} from "../controllers/documentController.js";
+import { analyzeDocument } from "../controllers/analysisController.js";
+import { compareDocuments } from "../controllers/compareController.js";
+import {
+  listVerifications,
+  getVerification,
+  deleteVerificationFiles,
+} from "../controllers/historyController.js";
+import { getArtifact } from "../controllers/artifactController.js";
+import {
+  getVerificationReport,
+  verifyReportSignature,
+  getReportPublicKey,
+} from "../controllers/reportController.js";
+import {
+  addReference,
+  listReferences,
+  getReference,
+  updateReference,
+  replaceReferenceImage,
+  deleteReference,
+  updateReferenceZones,
+} from "../controllers/referenceController.js";
+import { requireRole } from "../middleware/auth.js";
+import { validateUploadedFile } from "../middleware/uploadValidation.js";
+import { rejectWhenBusy } from "../middleware/backpressure.js";
+import { limitRequestSize } from "../middleware/requestSize.js";
+import { comparisonPool } from "../services/comparisonPool.js";
+import {
+  sanitizeFilename,
+  uploadError,
+} from "../services/uploadValidation.js";
+import { ensureDirectoryExists, cleanupTempFiles } from "../utils/fileUtils.js";
+import { serverConfig } from "../config/server.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,23 +62,59 @@ const storage = multer.diskStorage({
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname) || ".unknown";
-    cb(null, file.fieldname + "-" + uniqueSuffix + ext);
+    // Only the extension comes from the client, and only a plain one
+    const ext = path.extname(file.originalname).toLowerCase();
+    const safeExt = /^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ".unknown";
+    cb(null, file.fieldname + "-" + uniqueSuffix + safeExt);
   },
 });
 
+// Extensions the reference library lists
+const REFERENCE_EXTENSION_PATTERN = /\.(jpg|jpeg|png|tif|tiff)$/i;
+// Content checks for documents to verify, images to analyze and references
+const checkDocument = validateUploadedFile(serverConfig.uploads.documentFormats);
+const checkImage = validateUploadedFile(serverConfig.uploads.imageFormats);
+const checkReference = validateUploadedFile(
+  serverConfig.uploads.referenceFormats
+);
+
 // Configure storage for genuine documents
 const genuineStorage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, genuineDir);
   },
   filename: function (req, file, cb) {
-    // For genuine documents, preserve the original filename
-    cb(null, file.originalname);
+    // For genuine documents, preserve the original filename, made safe, as it
+    // becomes the reference's id; existing references are never overwritten
+    try {
+      const filename = sanitizeFilename(file.originalname);
+      if (!REFERENCE_EXTENSION_PATTERN.test(filename)) {
+        return cb(
+          uploadError(
+            `Reference filenames must end in .jpg, .jpeg, .png, .tif or .tiff`,
+            400,
+            "filename"
+          )
+        );
+      }
+      if (fs.existsSync(path.join(genuineDir, filename))) {
+        return cb(
+          uploadError(
+            `A reference named ${filename} already exists; replace its image instead`,
+            409,
+            "duplicate"
+          )
+        );
+      }
+      cb(null, filename);
+    } catch (error) {
+      cb(error);
+    }
   },
 });
 
-// Accept all files
+// MIME types are chosen by the client, so files are accepted here and their
+// real content checked once stored (validateUploadedFile)
 const fileFilter = (req, file, cb) => {
   console.log(
     `Received file: ${file.originalname}, mimetype: ${file.mimetype}`
@@ -52,34 +126,57 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB file size limit
+    fileSize: serverConfig.uploads.maxSize,
   },
 }).single("document");
 
+// Batches: many documents and/or ZIP archives of them
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: serverConfig.batch.maxUploadSize,
+    files: serverConfig.batch.maxFiles,
+  },
+}).array("documents", serverConfig.batch.maxFiles);
+
+// A document and, optionally, the second document to compare it with
+const compareUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: serverConfig.uploads.maxSize,
+  },
+}).fields([
+  { name: "document", maxCount: 1 },
+  { name: "reference", maxCount: 1 },
+]);
+
+// Reports uploaded to have their signature checked
+const reportUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB, reports embed full-page images
+  },
+}).single("report");
+
 const genuineUpload = multer({
   storage: genuineStorage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB file size limit
+    fileSize: serverConfig.uploads.maxSize,
   },
 }).single("document");
 
+// Comparisons and analyses run on a bounded worker pool; while it is
+// saturated these routes answer 503 with Retry-After before reading the upload
+const whenNotBusy = rejectWhenBusy(comparisonPool);
+
 // Document verification route with error handling
-router.post("/verify", (req, res) => {
+router.post("/verify", requireRole("verifier"), whenNotBusy, (req, res) => {
   console.log("Received file upload request for verification");
 
-  // Set a timeout for the upload process
-  const uploadTimeout = setTimeout(() => {
-    console.error("Upload process timed out");
-    return res.status(408).json({
-      success: false,
-      message: "Upload process timed out",
-    });
-  }, 30000); // 30 second timeout (increased from 15 seconds)
-
   upload(req, res, function (err) {
-    clearTimeout(uploadTimeout);
-
     if (err instanceof multer.MulterError) {
       // A Multer error occurred when uploading
       console.error("Multer error:", err);
@@ -98,82 +195,196 @@ router.post("/verify", (req, res) => {
 
     // If everything is fine, pass to the controller
     console.log("Upload successful, calling document verification");
-    verifyDocument(req, res);
+    checkDocument(req, res, () => verifyDocument(req, res));
+  });
+});
+
+// Batch verification of many files or ZIP archives
+router.post(
+  "/verify-batch",
+  requireRole("verifier"),
+  whenNotBusy,
+  // Files are limited one by one, the whole batch here
+  limitRequestSize(serverConfig.batch.maxTotalSize),
+  (req, res) => {
+    console.log("Received batch upload request for verification");
+
+    batchUpload(req, res, function (err) {
+      if (err) {
+        // Files stored before the error are not verified
+        if (req.files) cleanupTempFiles(req.files.map((file) => file.path));
+      }
+      if (err instanceof multer.MulterError) {
+        console.error("Multer error:", err);
+        return res.status(400).json({
+          success: false,
+          message: `Upload error: ${err.message}`,
+        });
+      } else if (err) {
+        console.error("Unknown upload error:", err);
+        return res.status(500).json({
+          success: false,
+          message: `Unknown error: ${err.message}`,
+        });
+      }
+
+      console.log("Upload successful, calling batch verification");
+      verifyBatch(req, res);
+    });
+  }
+);
+
+// Pairwise comparison with a chosen reference or a second upload
+router.post("/compare", requireRole("verifier"), whenNotBusy, (req, res) => {
+  console.log("Received file upload request for pairwise comparison");
+
+  compareUpload(req, res, function (err) {
+    if (err) {
+      if (req.files) {
+        cleanupTempFiles(Object.values(req.files).flat().map((file) => file.path));
+      }
+      console.error("Error uploading documents to compare:", err);
+      return res.status(err instanceof multer.MulterError ? 400 : 500).json({
+        success: false,
+        message: `Upload error: ${err.message}`,
+      });
+    }
+
+    checkDocument(req, res, () => compareDocuments(req, res));
+  });
+});
+
+router.get("/batches/:id/report", requireRole("verifier"), getBatchReport);
+
+// Asynchronous verification jobs (POST /verify?async=true)
+router.get("/jobs/:id", requireRole("verifier"), getJob);
+router.get("/jobs/:id/events", requireRole("verifier"), streamJobEvents);
+
+// Verification history, for investigating disputes
+router.get("/history", requireRole("verifier"), listVerifications);
+router.get("/history/:id", requireRole("verifier"), getVerification);
+router.delete(
+  "/history/:id/files",
+  requireRole("admin"),
+  deleteVerificationFiles
+);
+
+// Uploads, overlays and heatmaps, through the expiring signed links handed
+// out with results; the link itself is the credential
+router.get("/artifacts/:kind/:name", getArtifact);
+
+// Signed verification reports (HTML or PDF) and their signature check
+router.get(
+  "/history/:id/report",
+  requireRole("verifier"),
+  getVerificationReport
+);
+router.get("/reports/public-key", getReportPublicKey);
+router.post("/reports/verify", requireRole("verifier"), (req, res) => {
+  reportUpload(req, res, function (err) {
+    if (err) {
+      console.error("Error uploading report:", err);
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`,
+      });
+    }
+
+    verifyReportSignature(req, res);
+  });
+});
+
+// Reference-free forensic analysis (ELA and noise heatmaps)
+router.post("/analyze", requireRole("verifier"), whenNotBusy, (req, res) => {
+  console.log("Received file upload request for forensic analysis");
+
+  upload(req, res, function (err) {
+    if (err instanceof multer.MulterError) {
+      console.error("Multer error:", err);
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`,
+      });
+    } else if (err) {
+      console.error("Unknown upload error:", err);
+      return res.status(500).json({
+        success: false,
+        message: `Unknown error: ${err.message}`,
+      });
+    }
+
+    checkImage(req, res, () => analyzeDocument(req, res));
   });
 });
 
 // Add a genuine document route
-router.post("/add-genuine", (req, res) => {
+router.post("/add-genuine", requireRole("admin"), (req, res) => {
   console.log("Received request to add a genuine document");
 
   genuineUpload(req, res, function (err) {
     if (err) {
       console.error("Error adding genuine document:", err);
-      return res.status(400).json({
+      return res.status(err.status || 400).json({
         success: false,
         message: `Error adding genuine document: ${err.message}`,
+        check: err.check || null,
       });
     }
 
-    if (!req.file) {
+    checkReference(req, res, () => addReference(req, res));
+  });
+});
+
+// Get list of genuine documents
+router.get("/genuine-list", requireRole("verifier"), listReferences);
+
+// Manage a single reference document
+router.get("/references/:id", requireRole("verifier"), getReference);
+router.patch("/references/:id", requireRole("admin"), updateReference);
+router.put("/references/:id/image", requireRole("admin"), (req, res) => {
+  upload(req, res, function (err) {
+    if (err) {
+      console.error("Error uploading replacement image:", err);
       return res.status(400).json({
         success: false,
-        message: "No file uploaded",
+        message: `Upload error: ${err.message}`,
       });
     }
 
+    checkReference(req, res, () => replaceReferenceImage(req, res));
+  });
+});
+router.delete("/references/:id", requireRole("admin"), deleteReference);
+// Named field zones compared one by one during verification
+router.put("/references/:id/zones", requireRole("admin"), updateReferenceZones);
+
+// Test endpoint that just confirms upload without processing
+router.post(
+  "/test-upload",
+  requireRole("verifier"),
+  upload,
+  checkDocument,
+  (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, message: "No file uploaded" });
+    }
+
+    // Nothing uses a test upload, so it is not kept
+    cleanupTempFiles([req.file.path]);
+
     return res.status(200).json({
       success: true,
-      message: "Genuine document added successfully",
+      message: "File uploaded successfully (test endpoint)",
       file: {
         filename: req.file.filename,
         originalname: req.file.originalname,
         size: req.file.size,
-        path: req.file.path,
+        format: req.file.format,
       },
     });
-  });
-});
-
-// Get list of genuine documents
-router.get("/genuine-list", (req, res) => {
-  try {
-    const files = fs
-      .readdirSync(genuineDir)
-      .filter((file) => /\.(jpg|jpeg|png|tif|tiff|bmp)$/i.test(file));
-
-    return res.status(200).json({
-      success: true,
-      count: files.length,
-      genuineDocuments: files,
-    });
-  } catch (error) {
-    console.error("Error getting genuine document list:", error);
-    return res.status(500).json({
-      success: false,
-      message: `Error retrieving genuine documents: ${error.message}`,
-    });
   }
-});
-
-// Test endpoint that just confirms upload without processing
-router.post("/test-upload", upload, (req, res) => {
-  if (!req.file) {
-    return res
-      .status(400)
-      .json({ success: false, message: "No file uploaded" });
-  }
-
-  return res.status(200).json({
-    success: true,
-    message: "File uploaded successfully (test endpoint)",
-    file: {
-      filename: req.file.filename,
-      originalname: req.file.originalname,
-      size: req.file.size,
-      path: req.file.path,
-    },
-  });
-});
+);
 
 export default router;
@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  evaluateSamples,
+  proposeThreshold,
+} from "../services/evaluationService.js";
+import { resolveFusionProfile } from "../services/fusionService.js";
+import { detectionConfig } from "../config/detection.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node src/scripts/calibrate.js [--target-fpr 0.05] [--write]
+//   [--json proposals.json]
+// Every genuine sample is compared with the library minus its own image
+// (leave-one-out): a sample matching itself scores near 100 whatever the
+// threshold, which would make the calibration circular.
+const args = process.argv.slice(2);
+const optionValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+const targetFpr = Number(optionValue("--target-fpr") ?? 0.05);
+const write = args.includes("--write");
+const jsonOutput = optionValue("--json");
+
+const libDir = path.join(__dirname, "..", "lib");
+const genuineDir = path.join(libDir, "genuine");
+const { profilesFile } = detectionConfig.fusion;
+
+const formatRatio = (value) =>
+  value === null || value === undefined ? "n/a" : value.toFixed(3);
+
+/**
+ * Writes the proposed thresholds into the profiles file, keeping whatever
+ * else the profiles already override
+ * @param {Array<Object>} proposals Proposals by document type
+ */
+const writeProfiles = (proposals) => {
+  const profiles = fs.existsSync(profilesFile)
+    ? JSON.parse(fs.readFileSync(profilesFile, "utf8"))
+    : {};
+  const calibratedAt = new Date().toISOString();
+
+  for (const { documentType, proposal } of proposals) {
+    profiles[documentType] = {
+      ...profiles[documentType],
+      threshold: proposal.threshold,
+      // How the threshold was obtained, for whoever reviews the change
+      calibration: {
+        targetFpr,
+        fpr: proposal.fpr,
+        recall: proposal.recall,
+        genuineSamples: proposal.genuine,
+        forgedSamples: proposal.forged,
+        calibratedAt,
+      },
+    };
+  }
+  fs.writeFileSync(profilesFile, `${JSON.stringify(profiles, null, 2)}\n`);
+  console.log(`\nWrote ${proposals.length} profile(s) to ${profilesFile}`);
+};
+
+const run = async () => {
+  if (!(targetFpr >= 0 && targetFpr < 1)) {
+    console.error("--target-fpr must be a rate between 0 and 1, e.g. 0.05");
+    process.exit(1);
+  }
+  console.log(`Calibrating on the samples in ${libDir}`);
+  console.log(`Target false-positive rate: ${targetFpr}`);
+  console.log("Leave-one-out: genuine samples are hidden from their own comparison");
+
+  const report = await evaluateSamples({
+    libDir,
+    genuineDir,
+    leaveOneOut: true,
+    onSample: (result) => {
+      const label = result.isForged ? "forged " : "genuine";
+      console.log(
+        `  [${label}] ${result.sample} (${result.documentType || "no type"}) ` +
+          `similarity=${result.similarity.toFixed(1)} (${result.durationMs}ms)`
+      );
+    },
+  });
+
+  // Samples of unknown type only count towards the default threshold
+  const documentTypes = [
+    ...new Set(
+      report.samples.map((result) => result.documentType).filter(Boolean)
+    ),
+  ].sort();
+  const groups = [
+    { documentType: null, results: report.samples },
+    ...documentTypes.map((documentType) => ({
+      documentType,
+      results: report.samples.filter(
+        (result) => result.documentType === documentType
+      ),
+    })),
+  ];
+
+  const proposals = [];
+  console.log("\nProposed thresholds");
+  for (const { documentType, results } of groups) {
+    const name = documentType || "default";
+    const proposal = proposeThreshold(results, targetFpr);
+    if (!proposal) {
+      console.log(`  ${name}: no genuine samples, nothing to calibrate`);
+      continue;
+    }
+
+    const current = resolveFusionProfile(detectionConfig.fusion, documentType);
+    console.log(
+      `  ${name}: threshold ${proposal.threshold} (currently ${current.threshold}` +
+        `${current.name !== name ? ` from the ${current.name} profile` : ""}), ` +
+        `fpr=${formatRatio(proposal.fpr)} recall=${formatRatio(proposal.recall)} ` +
+        `margin=${proposal.margin.toFixed(1)} ` +
+        `(${proposal.genuine} genuine, ${proposal.forged} forged)`
+    );
+    if (targetFpr > 0 && proposal.genuine < 1 / targetFpr) {
+      console.log(
+        `    only ${proposal.genuine} genuine samples: a false-positive rate of ` +
+          `${targetFpr} cannot be measured, treat this threshold as a rough guide`
+      );
+    }
+    if (proposal.recall === 0) {
+      // Usually the library holds no other template of these documents
+      console.log(
+        "    no forged sample falls below it: the samples cannot be told apart, not applying it"
+      );
+      continue;
+    }
+    if (documentType) {
+      proposals.push({ documentType, proposal });
+    } else {
+      console.log(
+        `    set FUSION_THRESHOLD=${proposal.threshold} to apply it to documents without a profile`
+      );
+    }
+  }
+
+  if (jsonOutput) {
+    fs.writeFileSync(
+      jsonOutput,
+      JSON.stringify({ targetFpr, proposals, samples: report.samples }, null, 2)
+    );
+    console.log(`\nProposals written to ${jsonOutput}`);
+  }
+  if (write && proposals.length > 0) {
+    writeProfiles(proposals);
+  } else if (proposals.length > 0) {
+    console.log("\nRun with --write to save the document type thresholds");
+  }
+};
+
+run().catch((error) => {
+  console.error("Calibration failed:", error);
+  process.exit(1);
+});
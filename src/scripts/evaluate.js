@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { evaluateSamples } from "../services/evaluationService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node src/scripts/evaluate.js [--include-self] [--json report.json]
+//   [--category CopyPaste_Inter[,genuine]] [--detector crossDocument]
+//   [--no-reference]
+// Every genuine sample is compared with the library minus its own image
+// (leave-one-out), as calibrate.js does; --include-self leaves it in, which
+// lets each genuine sample match itself and inflates the results.
+// Exits with status 1 when the engine fails on any sample
+const args = process.argv.slice(2);
+const optionValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+const leaveOneOut = !args.includes("--include-self");
+const jsonOutput = optionValue("--json");
+const categories = optionValue("--category")
+  ? optionValue("--category").split(",").map((name) => name.trim())
+  : null;
+const regionDetector = optionValue("--detector");
+const withoutReferences = args.includes("--no-reference");
+
+const libDir = path.join(__dirname, "..", "lib");
+const genuineDir = path.join(libDir, "genuine");
+
+const formatRatio = (value) =>
+  value === null || value === undefined ? "n/a" : value.toFixed(3);
+
+const run = async () => {
+  console.log(`Evaluating samples in ${libDir}`);
+  if (withoutReferences) {
+    console.log("No references: only the reference-free detectors run");
+  } else if (leaveOneOut) {
+    console.log("Leave-one-out: genuine samples are hidden from their own comparison");
+  } else {
+    console.log(
+      "WARNING: genuine samples are compared with themselves (--include-self); " +
+        "accuracy and AUC are inflated and do not reflect unseen documents"
+    );
+  }
+  if (categories) {
+    console.log(`Categories: ${categories.join(", ")}`);
+  }
+  if (regionDetector) {
+    console.log(`Regions scored from the ${regionDetector} detector only`);
+  }
+
+  const report = await evaluateSamples({
+    libDir,
+    genuineDir,
+    leaveOneOut,
+    withoutReferences,
+    categories,
+    regionDetector,
+    onSample: (result) => {
+      const verdict = result.predictedForged ? "forged " : "genuine";
+      const label = result.isForged ? "forged " : "genuine";
+      const regionInfo = result.regions
+        ? ` IoU=${formatRatio(result.regions.meanIou)} boxRecall=${formatRatio(
+            result.regions.boxRecall
+          )}`
+        : "";
+      console.log(
+        `  [${label} -> ${verdict}] ${result.sample} similarity=${result.similarity.toFixed(
+          1
+        )}${regionInfo} (${result.durationMs}ms)`
+      );
+      if (result.error) console.log(`    engine error: ${result.error}`);
+    },
+  });
+
+  const { document, region } = report;
+  console.log("\nDocument level");
+  console.log(`  samples:   ${document.total}`);
+  console.log(
+    `  confusion: tp=${document.tp} fp=${document.fp} tn=${document.tn} fn=${document.fn}`
+  );
+  console.log(`  accuracy:  ${formatRatio(document.accuracy)}`);
+  console.log(`  precision: ${formatRatio(document.precision)}`);
+  console.log(`  recall:    ${formatRatio(document.recall)}`);
+  console.log(`  ROC AUC:   ${formatRatio(document.auc)}`);
+
+  console.log("\nRegion level (forged samples with annotations)");
+  console.log(`  samples:       ${region.samples}`);
+  console.log(`  mean IoU:      ${formatRatio(region.meanIou)}`);
+  console.log(`  box recall:    ${formatRatio(region.boxRecall)}`);
+  console.log(`  box precision: ${formatRatio(region.boxPrecision)}`);
+
+  if (jsonOutput) {
+    fs.writeFileSync(jsonOutput, JSON.stringify(report, null, 2));
+    console.log(`\nFull report written to ${jsonOutput}`);
+  }
+
+  const failed = report.samples.filter((result) => result.error);
+  if (failed.length > 0) {
+    console.error(`\nThe engine failed on ${failed.length} sample(s)`);
+    process.exit(1);
+  }
+};
+
+run().catch((error) => {
+  console.error("Evaluation failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { serverConfig } from "../config/server.js";
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const linkError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Creates the issuer of expiring links to stored artifacts: uploads and their
+ * overlays, heatmaps and pairwise diffs. A link carries its expiry and an HMAC of the artifact
+ * and expiry, so it can be opened without credentials (e.g. in an <img>) but
+ * only until it expires, and cannot be altered to reach another file. With
+ * ARTIFACT_LINK_SECRET configured every instance accepts the others' links;
+ * otherwise the key is random and links die with the process.
+ * @param {string} uploadsDir Directory holding the uploads
+ * @returns {Object} Links with link and resolve
+ */
+export const createArtifactLinks = (uploadsDir) => {
+  const { linkSecret: secret, linkTtlMinutes } = serverConfig.retention;
+  const ttlMs = linkTtlMinutes * 60 * 1000;
+  const directories = {
+    upload: uploadsDir,
+    overlay: path.join(uploadsDir, "overlays"),
+    heatmap: path.join(uploadsDir, "heatmaps"),
+    diff: path.join(uploadsDir, "diffs"),
+  };
+
+  const signature = (kind, name, expires) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${kind}/${name}:${expires}`)
+      .digest("hex");
+
+  return {
+    /**
+     * @param {string} kind Artifact kind, a key of `directories`
+     * @param {string|null} name Stored filename
+     * @returns {string|null} Expiring URL, or null when there is no artifact
+     */
+    link: (kind, name) => {
+      if (!name) return null;
+      const expires = Math.floor((Date.now() + ttlMs) / 1000);
+      return (
+        `/api/documents/artifacts/${kind}/${encodeURIComponent(name)}` +
+        `?expires=${expires}&signature=${signature(kind, name, expires)}`
+      );
+    },
+
+    /**
+     * @param {string} kind Artifact kind, a key of `directories`
+     * @param {string|null} name Stored filename
+     * @returns {string|null} Where the artifact is stored
+     */
+    pathOf: (kind, name) =>
+      directories[kind] && name
+        ? path.join(directories[kind], path.basename(name))
+        : null,
+
+    /**
+     * Checks a link and returns the file it points to
+     * @param {string} kind Artifact kind from the URL
+     * @param {string} name Filename from the URL
+     * @param {Object} query { expires, signature } from the URL
+     * @returns {string} Path of the artifact
+     */
+    resolve: (kind, name, { expires, signature: given } = {}) => {
+      const directory = directories[kind];
+      if (!directory || name !== path.basename(name)) {
+        throw linkError("Unknown artifact", 404);
+      }
+
+      const expected = Buffer.from(signature(kind, name, expires));
+      const received = Buffer.from(String(given || ""));
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+      ) {
+        throw linkError("Invalid link signature", 403);
+      }
+      if (!(Number(expires) * 1000 > Date.now())) {
+        throw linkError(
+          "Link has expired; fetch the result again for a new one",
+          410
+        );
+      }
+
+      const artifactPath = path.join(directory, name);
+      if (!fs.existsSync(artifactPath)) {
+        throw linkError("Artifact no longer available", 404);
+      }
+      return artifactPath;
+    },
+  };
+};
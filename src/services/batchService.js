@@ -0,0 +1,95 @@
+// Columns of the CSV report, in order
+const CSV_COLUMNS = [
+  "file",
+  "status",
+  "isGenuine",
+  "similarity",
+  "profile",
+  "bestMatch",
+  "pageCount",
+  "regionCount",
+  "durationMs",
+  "error",
+];
+
+/**
+ * Runs an async task for every item with at most `concurrency` running at once
+ * @param {Array} items Items to process
+ * @param {number} concurrency Tasks running side by side
+ * @param {Function} task Async function called with (item, index)
+ * @returns {Promise<Array>} Task results, in item order
+ */
+export const mapWithConcurrency = async (items, concurrency, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+};
+
+/**
+ * Summarizes the per-file results of a batch
+ * @param {Array<Object>} results Rows built by the batch controller
+ * @returns {Object} Counts and similarity statistics
+ */
+export const summarizeBatch = (results) => {
+  const verified = results.filter((result) => result.status !== "error");
+  const similarities = verified.map((result) => result.similarity);
+  const mean = similarities.length
+    ? similarities.reduce((total, value) => total + value, 0) / similarities.length
+    : null;
+
+  return {
+    total: results.length,
+    genuine: verified.filter((result) => result.isGenuine).length,
+    forged: verified.filter((result) => !result.isGenuine).length,
+    errors: results.length - verified.length,
+    meanSimilarity: mean === null ? null : Number(mean.toFixed(2)),
+    minSimilarity: similarities.length
+      ? Number(Math.min(...similarities).toFixed(2))
+      : null,
+    maxSimilarity: similarities.length
+      ? Number(Math.max(...similarities).toFixed(2))
+      : null,
+  };
+};
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV cell. Text from uploaders (file names, ZIP entries) that
+ * would start a formula is prefixed with ' so it stays text.
+ * @param {*} value Cell value
+ * @returns {string} The escaped cell
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "string" && FORMULA_PREFIX.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a batch report as CSV, one row per file
+ * @param {Object} report Report with a `results` array
+ * @returns {string} CSV text with a header row
+ */
+export const batchReportToCsv = (report) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...report.results.map((result) =>
+      CSV_COLUMNS.map((column) => csvValue(result[column])).join(",")
+    ),
+  ].join("\n") + "\n";
@@ -0,0 +1,46 @@
+import { createWorkerPool } from "./workerPool.js";
+import { serverConfig } from "../config/server.js";
+
+// Every comparison and forensic analysis of the server runs on this pool, so
+// the decoding and hashing never block the HTTP thread and their number stays
+// bounded
+export const comparisonPool = createWorkerPool(
+  new URL("../workers/comparisonWorker.js", import.meta.url),
+  serverConfig.workers
+);
+
+/**
+ * Runs compareDocument on a worker thread
+ * @param {string} uploadedFilePath Path to the uploaded document
+ * @param {string} genuineImagesDir Directory of the genuine references
+ * @param {Object} options compareDocument options; `onProgress` is relayed
+ *   from the worker, `waitForRoom` waits for room in a full queue instead of
+ *   failing with 503, and `stagedReference` ({ filePath, originalname,
+ *   metadata }) is an upload the worker stages as a one-file library to
+ *   compare with, in place of genuineImagesDir, and deletes afterwards
+ * @returns {Promise<Object>} Result of compareDocument
+ */
+export const compareDocumentInWorker = (
+  uploadedFilePath,
+  genuineImagesDir,
+  { onProgress, waitForRoom, stagedReference = null, ...options } = {}
+) =>
+  comparisonPool.run(
+    {
+      task: "compare",
+      filePath: uploadedFilePath,
+      genuineDir: genuineImagesDir,
+      stagedReference,
+      options,
+    },
+    { onProgress, waitForRoom }
+  );
+
+/**
+ * Runs the reference-free forensics (ELA and noise) on a worker thread
+ * @param {string} filePath Path to the uploaded image
+ * @param {string} heatmapDir Directory to write the heatmaps into
+ * @returns {Promise<Object>} { ela, noise }, results of errorLevelAnalysis and analyzeNoise
+ */
+export const analyzeDocumentInWorker = (filePath, heatmapDir) =>
+  comparisonPool.run({ task: "analyze", filePath, heatmapDir });
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import {
+  INK_THRESHOLD,
+  SPECK_MAX_PIXELS,
+  loadGrayscale,
+  findComponents,
+  filterGlyphs,
+} from "./glyphService.js";
+
+// Signatures shared by more glyphs than this are too common to be evidence
+const MAX_GROUP_SIZE = 50;
+
+/**
+ * Signature of a glyph and the background immediately around it. On a page
+ * with scan noise, two independently printed glyphs never share one; a
+ * pasted copy carries its source's noise along and does.
+ */
+const glyphSignature = (pixels, width, height, glyph, padding) => {
+  const left = Math.max(0, glyph.left - padding);
+  const top = Math.max(0, glyph.top - padding);
+  const right = Math.min(width - 1, glyph.right + padding);
+  const bottom = Math.min(height - 1, glyph.bottom + padding);
+
+  const bits = Buffer.alloc((right - left + 1) * (bottom - top + 1));
+  let k = 0;
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      bits[k++] = pixels[y * width + x] < INK_THRESHOLD ? 1 : 0;
+    }
+  }
+
+  return `${right - left}x${bottom - top}:${crypto
+    .createHash("md5")
+    .update(bits)
+    .digest("hex")}`;
+};
+
+const toBox = (glyphs) => {
+  const left = Math.min(...glyphs.map((glyph) => glyph.left));
+  const top = Math.min(...glyphs.map((glyph) => glyph.top));
+  return {
+    x: left,
+    y: top,
+    width: Math.max(...glyphs.map((glyph) => glyph.right)) - left + 1,
+    height: Math.max(...glyphs.map((glyph) => glyph.bottom)) - top + 1,
+  };
+};
+
+/**
+ * Looks for groups of glyphs duplicated pixel-for-pixel elsewhere on the same
+ * page, all displaced by the same offset, which is what a copy-move leaves
+ * @param {string} imagePath Path to the uploaded document (not resampled)
+ * @param {Object} options Settings from detectionConfig.copyMove
+ * @returns {Promise<Object>} Noise level, glyph count and duplicated patches
+ */
+export const detectCopyMove = async (imagePath, options) => {
+  const { data, width, height } = await loadGrayscale(imagePath);
+
+  const components = findComponents(data, width, height);
+  const specks = components.filter(
+    (component) => component.pixels <= SPECK_MAX_PIXELS
+  ).length;
+  const glyphs = filterGlyphs(components, options);
+
+  const groups = new Map();
+  for (const glyph of glyphs) {
+    const signature = glyphSignature(data, width, height, glyph, options.padding);
+    if (!groups.has(signature)) groups.set(signature, []);
+    groups.get(signature).push(glyph);
+  }
+
+  // Pair identical glyphs and bucket the pairs by their displacement
+  const shifts = new Map();
+  for (const group of groups.values()) {
+    if (group.length < 2 || group.length > MAX_GROUP_SIZE) continue;
+    for (let a = 0; a < group.length; a++) {
+      for (let b = a + 1; b < group.length; b++) {
+        let [first, second] = [group[a], group[b]];
+        if (
+          second.top < first.top ||
+          (second.top === first.top && second.left < first.left)
+        ) {
+          [first, second] = [second, first];
+        }
+        const key = `${second.left - first.left},${second.top - first.top}`;
+        if (!shifts.has(key)) shifts.set(key, []);
+        shifts.get(key).push([first, second]);
+      }
+    }
+  }
+
+  const duplicates = [...shifts.entries()]
+    .filter(([, pairs]) => pairs.length >= options.minGlyphs)
+    .map(([key, pairs]) => {
+      const [dx, dy] = key.split(",").map(Number);
+      return {
+        // Which copy is the original cannot be told apart; the upper one is reported as source
+        source: toBox(pairs.map((pair) => pair[0])),
+        destination: toBox(pairs.map((pair) => pair[1])),
+        shift: { dx, dy },
+        glyphs: pairs.length,
+      };
+    })
+    .sort((a, b) => b.glyphs - a.glyphs);
+
+  return {
+    noiseRatio: glyphs.length ? specks / glyphs.length : 0,
+    glyphCount: glyphs.length,
+    duplicates,
+  };
+};
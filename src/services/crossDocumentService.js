@@ -0,0 +1,261 @@
+import path from "path";
+import {
+  INK_THRESHOLD,
+  loadGrayscale,
+  findComponents,
+  filterGlyphs,
+  glyphBitmap,
+  bitmapSimilarity,
+  getReferenceGlyphs,
+} from "./glyphService.js";
+import { mapRegionToOriginal } from "./preprocessService.js";
+import { mapWithConcurrency } from "./batchService.js";
+
+// Candidate glyphs kept per patch glyph and reference when voting on a source
+const CANDIDATES_PER_GLYPH = 50;
+// Candidates below this similarity cannot be the same glyph, whatever the font
+const MIN_CANDIDATE_SIMILARITY = 0.5;
+// Shifts are voted in bins of this many pixels, absorbing small cut differences
+const SHIFT_BIN = 2;
+
+/**
+ * Whether a glyph of the upload also appears at (nearly) the same place in the
+ * reference, i.e. no more than 10% of its ink differs for some small offset
+ */
+const isPresentInReference = (upload, reference, glyph, searchRadius) => {
+  let ink = 0;
+  for (let y = glyph.top; y <= glyph.bottom; y++) {
+    for (let x = glyph.left; x <= glyph.right; x++) {
+      if (upload.data[y * upload.width + x] < INK_THRESHOLD) ink++;
+    }
+  }
+
+  for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+    for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+      let differing = 0;
+      for (let y = glyph.top; y <= glyph.bottom && differing <= ink * 0.1; y++) {
+        for (let x = glyph.left; x <= glyph.right; x++) {
+          const inUpload = upload.data[y * upload.width + x] < INK_THRESHOLD;
+          const ry = y + dy;
+          const rx = x + dx;
+          const inReference =
+            ry >= 0 &&
+            rx >= 0 &&
+            ry < reference.height &&
+            rx < reference.width &&
+            reference.data[ry * reference.width + rx] < INK_THRESHOLD;
+          if (inUpload !== inReference) differing++;
+        }
+      }
+      if (differing <= ink * 0.1) return true;
+    }
+  }
+  return false;
+};
+
+const toBox = (glyphs) => {
+  const left = Math.min(...glyphs.map((glyph) => glyph.left));
+  const top = Math.min(...glyphs.map((glyph) => glyph.top));
+  return {
+    x: left,
+    y: top,
+    width: Math.max(...glyphs.map((glyph) => glyph.right)) - left + 1,
+    height: Math.max(...glyphs.map((glyph) => glyph.bottom)) - top + 1,
+  };
+};
+
+/**
+ * Groups glyphs into patches: runs of glyphs on the same line separated by
+ * less than `maxGap` times their height, as a pasted word or number would be
+ */
+const groupIntoPatches = (glyphs, maxGap) => {
+  const sorted = [...glyphs].sort((a, b) => a.left - b.left);
+  const patches = [];
+
+  for (const glyph of sorted) {
+    const height = glyph.bottom - glyph.top + 1;
+    const patch = patches.find((candidate) => {
+      const last = candidate[candidate.length - 1];
+      const overlap =
+        Math.min(last.bottom, glyph.bottom) - Math.max(last.top, glyph.top) + 1;
+      return (
+        overlap >= Math.min(height, last.bottom - last.top + 1) / 2 &&
+        glyph.left - last.right <= maxGap * height
+      );
+    });
+    if (patch) patch.push(glyph);
+    else patches.push([glyph]);
+  }
+
+  return patches;
+};
+
+/**
+ * Finds where in one reference a patch most plausibly came from: every glyph
+ * votes for the displacements of its look-alikes, and the displacement the
+ * patch agrees on most wins. Ties go to the source nearest the destination.
+ * @param {Array<Object>} patch Upload glyphs with bitmaps
+ * @param {Array<Object>} referenceGlyphs Glyphs returned by getReferenceGlyphs
+ * @returns {Object|null} { similarity, box } of the best source
+ */
+const locatePatchInReference = (patch, referenceGlyphs) => {
+  const votes = new Map();
+
+  patch.forEach((glyph, index) => {
+    const candidates = referenceGlyphs
+      .filter(
+        (candidate) =>
+          Math.abs(candidate.bitmap.width - glyph.bitmap.width) <= 2 &&
+          Math.abs(candidate.bitmap.height - glyph.bitmap.height) <= 2
+      )
+      .map((candidate) => ({
+        candidate,
+        similarity: bitmapSimilarity(glyph.bitmap, candidate.bitmap),
+      }))
+      .filter(({ similarity }) => similarity >= MIN_CANDIDATE_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, CANDIDATES_PER_GLYPH);
+
+    for (const { candidate, similarity } of candidates) {
+      const dx = candidate.left - glyph.left;
+      const dy = candidate.top - glyph.top;
+      const key = `${Math.round(dx / SHIFT_BIN)},${Math.round(dy / SHIFT_BIN)}`;
+      if (!votes.has(key)) {
+        votes.set(key, { distance: Math.hypot(dx, dy), glyphs: new Map() });
+      }
+      const vote = votes.get(key);
+      // Each patch glyph counts once per displacement, with its best look-alike
+      const previous = vote.glyphs.get(index);
+      if (!previous || previous.similarity < similarity) {
+        vote.glyphs.set(index, { candidate, similarity });
+      }
+    }
+  });
+
+  let best = null;
+  for (const vote of votes.values()) {
+    let total = 0;
+    for (const { similarity } of vote.glyphs.values()) total += similarity;
+    const similarity = total / patch.length;
+    if (
+      !best ||
+      similarity > best.similarity + 1e-9 ||
+      (Math.abs(similarity - best.similarity) <= 1e-9 &&
+        vote.distance < best.distance)
+    ) {
+      best = {
+        similarity,
+        distance: vote.distance,
+        box: toBox([...vote.glyphs.values()].map(({ candidate }) => candidate)),
+      };
+    }
+  }
+
+  return best && { similarity: best.similarity, box: best.box };
+};
+
+/**
+ * Finds glyphs of the upload that are missing from its best-matching reference
+ * and searches the reference library for the document they were pasted from
+ * @param {Object} input
+ * @param {string} input.alignedUploadPath Upload registered onto the reference
+ * @param {string} input.referenceImagePath Normalized best-matching reference
+ * @param {string} input.originalImagePath Upload as received
+ * @param {Object} input.transform Registration transform of the upload
+ * @param {Array<string>} input.libraryPaths Reference images to search for sources
+ * @param {number} [input.concurrency] References whose glyphs load side by side
+ * @param {Object} options Settings from detectionConfig.crossDocument
+ * @returns {Promise<Object>} Changed glyph count and the patches with their sources
+ */
+export const detectCrossDocumentPaste = async (input, options) => {
+  const upload = await loadGrayscale(input.alignedUploadPath);
+  const reference = await loadGrayscale(input.referenceImagePath);
+
+  const uploadGlyphs = filterGlyphs(
+    findComponents(upload.data, upload.width, upload.height),
+    options
+  );
+  const changed = uploadGlyphs.filter(
+    (glyph) => !isPresentInReference(upload, reference, glyph, options.searchRadius)
+  );
+
+  const result = {
+    glyphCount: uploadGlyphs.length,
+    changedGlyphs: changed.length,
+    changedRatio: uploadGlyphs.length ? changed.length / uploadGlyphs.length : 0,
+    patches: [],
+  };
+  // A different document altogether, not an edited copy of this reference
+  if (changed.length === 0 || result.changedRatio > options.maxChangedRatio) {
+    return result;
+  }
+
+  // Sources are searched at native resolution, so take the changed glyphs
+  // from the upload as received rather than from its resampled registration
+  const original = await loadGrayscale(input.originalImagePath);
+  const originalGlyphs = filterGlyphs(
+    findComponents(original.data, original.width, original.height),
+    options
+  );
+  const changedOriginals = new Set();
+  for (const glyph of changed) {
+    const box = mapRegionToOriginal(
+      {
+        x: glyph.left,
+        y: glyph.top,
+        width: glyph.right - glyph.left + 1,
+        height: glyph.bottom - glyph.top + 1,
+      },
+      input.transform
+    );
+    for (const candidate of originalGlyphs) {
+      const centerX = (candidate.left + candidate.right) / 2;
+      const centerY = (candidate.top + candidate.bottom) / 2;
+      if (
+        centerX >= box.x - options.searchRadius &&
+        centerX <= box.x + box.width + options.searchRadius &&
+        centerY >= box.y - options.searchRadius &&
+        centerY <= box.y + box.height + options.searchRadius
+      ) {
+        changedOriginals.add(candidate);
+      }
+    }
+  }
+
+  const patchGlyphs = [...changedOriginals].map((glyph) => ({
+    ...glyph,
+    bitmap: glyphBitmap(original, glyph),
+  }));
+  const libraryGlyphs = await mapWithConcurrency(
+    input.libraryPaths,
+    input.concurrency || 1,
+    async (referencePath) => ({
+      reference: path.basename(referencePath),
+      glyphs: await getReferenceGlyphs(referencePath, options),
+    })
+  );
+
+  for (const patch of groupIntoPatches(patchGlyphs, options.maxPatchGap)) {
+    let source = null;
+    for (const { reference: referenceName, glyphs } of libraryGlyphs) {
+      const located = locatePatchInReference(patch, glyphs);
+      if (located && (!source || located.similarity > source.similarity)) {
+        source = { reference: referenceName, ...located };
+      }
+    }
+
+    result.patches.push({
+      destination: toBox(patch),
+      glyphs: patch.length,
+      source: source && {
+        reference: source.reference,
+        box: source.box,
+        similarity: Number(source.similarity.toFixed(3)),
+      },
+      // Only a close enough look-alike makes the library a credible source
+      matched: Boolean(source && source.similarity >= options.minSourceSimilarity),
+    });
+  }
+
+  return result;
+};
@@ -0,0 +1,53 @@
+import { detectCopyMove } from "../copyMoveService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Looks for text copied from one place on the page to another. It needs no
+ * reference, so it also runs on documents the library has never seen.
+ */
+export const copyMoveDetector = {
+  name: "copyMove",
+  requiresReference: false,
+  detect: async (context) => {
+    const options = detectionConfig.copyMove;
+    // Works on the upload as received: resampling would destroy the pixel-exact copies
+    const analysis = await detectCopyMove(context.originalImagePath, options);
+
+    // On a clean (noise-free) rendering every repeated letter is identical, so
+    // duplicates say nothing; only scans carrying speck noise can be judged
+    if (analysis.noiseRatio < options.minNoiseRatio) {
+      return {
+        score: null,
+        details: {
+          reason: "Document has too little scan noise to tell copies from repeated glyphs",
+          noiseRatio: Number(analysis.noiseRatio.toFixed(3)),
+          glyphCount: analysis.glyphCount,
+        },
+      };
+    }
+
+    const copiedGlyphs = analysis.duplicates.reduce(
+      (total, duplicate) => total + duplicate.glyphs,
+      0
+    );
+    // minGlyphs copied glyphs halve the score, twice as many bring it to 0
+    const score = analysis.duplicates.length
+      ? Math.max(0, 100 - (50 * copiedGlyphs) / options.minGlyphs)
+      : 100;
+
+    return {
+      score,
+      // Boxes come from the original upload, not the normalized image
+      coordinateSpace: "original",
+      regions: analysis.duplicates.flatMap((duplicate) => [
+        { ...duplicate.source, score: 1 },
+        { ...duplicate.destination, score: 1 },
+      ]),
+      details: {
+        noiseRatio: Number(analysis.noiseRatio.toFixed(3)),
+        glyphCount: analysis.glyphCount,
+        copyMoves: analysis.duplicates,
+      },
+    };
+  },
+};
@@ -0,0 +1,78 @@
+import path from "path";
+import { detectCrossDocumentPaste } from "../crossDocumentService.js";
+import { getImageFilesInDirectory } from "../../utils/fileUtils.js";
+import { detectionConfig } from "../../config/detection.js";
+import { serverConfig } from "../../config/server.js";
+
+/**
+ * Looks for glyphs that differ from the best-matching reference and were
+ * pasted in from another document of the library
+ */
+export const crossDocumentDetector = {
+  name: "crossDocument",
+  requiresReference: true,
+  detect: async (context) => {
+    const options = detectionConfig.crossDocument;
+    // Any reference can be the source, not only the candidates for the match
+    const libraryPaths = getImageFilesInDirectory(context.referenceDir).map(
+      (file) => path.join(context.referenceDir, file)
+    );
+
+    const analysis = await detectCrossDocumentPaste(
+      {
+        alignedUploadPath: context.uploadedImagePath,
+        referenceImagePath: context.referenceImagePath,
+        originalImagePath: context.originalImagePath,
+        transform: context.transform,
+        libraryPaths,
+        concurrency: serverConfig.workers.referenceConcurrency,
+      },
+      options
+    );
+    const details = {
+      glyphCount: analysis.glyphCount,
+      changedGlyphs: analysis.changedGlyphs,
+      pastes: analysis.patches,
+    };
+
+    if (analysis.changedRatio > options.maxChangedRatio) {
+      return {
+        score: null,
+        details: {
+          ...details,
+          reason: "Best match differs too much to be an edited copy of it",
+        },
+      };
+    }
+
+    const pasted = analysis.patches.filter((patch) => patch.matched);
+    // Changed, but not with anything the library contains: still an edit of
+    // the best match, only its source is unknown
+    const unsourced = analysis.patches.filter((patch) => !patch.matched);
+
+    return {
+      // Each patch traced back to the library halves the score
+      score:
+        100 *
+        0.5 ** pasted.length *
+        options.unsourcedPatchFactor ** unsourced.length,
+      coordinateSpace: "original",
+      regions: [
+        ...pasted.map((patch) => ({
+          ...patch.destination,
+          score: patch.source.similarity,
+        })),
+        ...unsourced.map((patch) => ({
+          ...patch.destination,
+          kind: "changed",
+          score: null,
+        })),
+      ],
+      details: {
+        ...details,
+        ...(unsourced.length > 0 &&
+          pasted.length === 0 && { reason: "No source found in the library" }),
+      },
+    };
+  },
+};
@@ -0,0 +1,56 @@
+import { compareZones } from "../fieldZoneService.js";
+import { createReferenceLibrary } from "../referenceLibrary.js";
+import { mapRegionFromOriginal } from "../preprocessService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Compares the named field zones of the best match (net pay, employee name,
+ * ...) one by one, so an edited field shows up even when the rest of the
+ * layout is genuine. The score is set by the least similar field.
+ */
+export const fieldZoneDetector = {
+  name: "fieldZones",
+  requiresReference: true,
+  detect: async (context) => {
+    const reference = createReferenceLibrary(context.referenceDir).get(
+      context.referenceName
+    );
+    const zones = reference.zones || [];
+    if (zones.length === 0) {
+      return {
+        score: null,
+        details: { reason: "No field zones defined for the best match" },
+      };
+    }
+
+    // Zones are drawn on the reference image as stored; the comparison runs
+    // on its normalized geometry
+    const fields = await compareZones(
+      context.uploadedImagePath,
+      context.referenceImagePath,
+      zones.map((zone) => mapRegionFromOriginal(zone, context.referenceTransform)),
+      detectionConfig.fieldZones
+    );
+    const checked = fields.filter((field) => field.similarity !== null);
+    const altered = fields.filter((field) => field.status === "altered");
+
+    return {
+      score: checked.length
+        ? Math.min(...checked.map((field) => field.similarity)) * 100
+        : null,
+      regions: altered.map(({ name, x, y, width, height, similarity }) => ({
+        x,
+        y,
+        width,
+        height,
+        kind: "field",
+        field: name,
+        similarity,
+      })),
+      details: {
+        fields,
+        alteredFields: altered.map((field) => field.name),
+      },
+    };
+  },
+};
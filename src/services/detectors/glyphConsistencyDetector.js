@@ -0,0 +1,39 @@
+import { analyzeGlyphConsistency } from "../glyphConsistencyService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Flags characters whose stroke width, height, baseline or spacing do not fit
+ * the other occurrences of the same character, as retyped digits in a
+ * look-alike font do. Needs no reference.
+ */
+export const glyphConsistencyDetector = {
+  name: "glyphConsistency",
+  requiresReference: false,
+  detect: async (context) => {
+    const options = detectionConfig.glyphConsistency;
+    // Stroke widths only survive on the upload as received, not resampled
+    const analysis = await analyzeGlyphConsistency(
+      context.originalImagePath,
+      options
+    );
+    if (analysis.glyphCount === 0) {
+      return { score: null, details: { reason: "No text found" } };
+    }
+
+    const outlierRatio = analysis.characters.length / analysis.glyphCount;
+    return {
+      score: 100 * (1 - Math.min(1, outlierRatio / options.maxOutlierRatio)),
+      coordinateSpace: "original",
+      // One box per suspicious character, listed separately in the response
+      regions: analysis.characters.map((character) => ({
+        ...character,
+        kind: "character",
+      })),
+      details: {
+        glyphCount: analysis.glyphCount,
+        outliers: analysis.characters.length,
+        outlierRatio: Number(outlierRatio.toFixed(4)),
+      },
+    };
+  },
+};
@@ -0,0 +1,93 @@
+import { perceptualHashDetector } from "./perceptualHashDetector.js";
+import { tileHashDetector } from "./tileHashDetector.js";
+import { pixelDiffDetector } from "./pixelDiffDetector.js";
+import { ssimDetector } from "./ssimDetector.js";
+import { copyMoveDetector } from "./copyMoveDetector.js";
+import { crossDocumentDetector } from "./crossDocumentDetector.js";
+import { glyphConsistencyDetector } from "./glyphConsistencyDetector.js";
+import { metadataDetector } from "./metadataDetector.js";
+import { fieldZoneDetector } from "./fieldZoneDetector.js";
+
+const detectors = new Map();
+
+/**
+ * Adds a detector to the registry.
+ * A detector is an object with a unique `name`, an optional `requiresReference`
+ * flag and an async `detect(context)` returning `{ score, details, regions? }`,
+ * where `score` is a 0-100 similarity to genuine (100 = no sign of forgery),
+ * or null when the detector cannot judge the document. Regions are in the
+ * registered upload's coordinates unless `coordinateSpace` is "original".
+ * @param {Object} detector Detector to register
+ */
+export const registerDetector = (detector) => {
+  if (!detector || !detector.name || typeof detector.detect !== "function") {
+    throw new Error("A detector needs a name and a detect function");
+  }
+  if (detectors.has(detector.name)) {
+    throw new Error(`Detector "${detector.name}" is already registered`);
+  }
+  detectors.set(detector.name, detector);
+};
+
+/**
+ * Lists the registered detectors
+ * @param {Array<string>|null} enabled Names to keep, or null for all
+ * @returns {Array<Object>} Registered detectors
+ */
+export const getDetectors = (enabled = null) =>
+  [...detectors.values()].filter(
+    (detector) => !enabled || enabled.includes(detector.name)
+  );
+
+/**
+ * Runs every applicable detector against a comparison context
+ * @param {Object} context Paths and precomputed data shared by the detectors
+ * @param {Array<string>|null} enabled Names of detectors to run, or null for all
+ * @param {Function} [onDetectorStart] Called with (name, index, total) before each detector
+ * @returns {Promise<Array<Object>>} One finding per detector
+ */
+export const runDetectors = async (
+  context,
+  enabled = null,
+  onDetectorStart = () => {}
+) => {
+  const findings = [];
+  const selected = getDetectors(enabled);
+
+  for (const [index, detector] of selected.entries()) {
+    onDetectorStart(detector.name, index, selected.length);
+    if (detector.requiresReference && !context.referenceImagePath) {
+      findings.push({
+        detector: detector.name,
+        skipped: true,
+        reason: "No reference document available",
+      });
+      continue;
+    }
+
+    try {
+      const finding = await detector.detect(context);
+      findings.push({ detector: detector.name, ...finding });
+    } catch (error) {
+      // A failing detector is reported but left out of the fusion
+      console.error(`Detector ${detector.name} failed:`, error);
+      findings.push({
+        detector: detector.name,
+        skipped: true,
+        reason: `Detector error: ${error.message}`,
+      });
+    }
+  }
+
+  return findings;
+};
+
+registerDetector(perceptualHashDetector);
+registerDetector(tileHashDetector);
+registerDetector(pixelDiffDetector);
+registerDetector(ssimDetector);
+registerDetector(copyMoveDetector);
+registerDetector(crossDocumentDetector);
+registerDetector(glyphConsistencyDetector);
+registerDetector(metadataDetector);
+registerDetector(fieldZoneDetector);
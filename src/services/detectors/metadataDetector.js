@@ -0,0 +1,36 @@
+import { analyzeMetadata } from "../metadataService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Inspects the uploaded file itself (format, EXIF, XMP, ICC and TIFF tags)
+ * for traces of editing. Clean metadata proves nothing, as it is easily
+ * stripped or never written, so the detector can only lower the verdict.
+ */
+export const metadataDetector = {
+  name: "metadata",
+  requiresReference: false,
+  detect: async (context) => {
+    const { severityPenalties } = detectionConfig.metadata;
+    // Pages split out of a PDF or TIFF carry no metadata of their own
+    const analysis = await analyzeMetadata(context.sourceFilePath);
+
+    if (analysis.findings.length === 0) {
+      return {
+        score: null,
+        details: {
+          reason: "No sign of editing in the file metadata",
+          ...analysis,
+        },
+      };
+    }
+
+    const penalty = analysis.findings.reduce(
+      (total, finding) => total + (severityPenalties[finding.severity] || 0),
+      0
+    );
+    return {
+      score: Math.max(0, 100 - penalty),
+      details: analysis,
+    };
+  },
+};
@@ -0,0 +1,42 @@
+import { calculateFingerprint, calculateSimilarity } from "../hashService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Compares the global perceptual hashes of the upload with those of its best
+ * match, one similarity per algorithm
+ */
+export const perceptualHashDetector = {
+  name: "perceptualHash",
+  requiresReference: true,
+  detect: async (context) => {
+    const uploaded =
+      context.uploadedFingerprint ||
+      (await calculateFingerprint(
+        context.uploadedImagePath,
+        detectionConfig.hashing
+      ));
+    const reference =
+      context.referenceFingerprint ||
+      (await calculateFingerprint(
+        context.referenceImagePath,
+        detectionConfig.hashing
+      ));
+
+    const algorithms = {};
+    for (const algorithm of Object.keys(uploaded.hashes)) {
+      algorithms[algorithm] = calculateSimilarity(
+        uploaded.hashes[algorithm],
+        reference.hashes[algorithm]
+      );
+    }
+    const similarities = Object.values(algorithms);
+
+    return {
+      score: similarities.reduce((a, b) => a + b, 0) / similarities.length,
+      details: {
+        algorithms,
+        hashBits: uploaded.hashes[Object.keys(uploaded.hashes)[0]].length,
+      },
+    };
+  },
+};
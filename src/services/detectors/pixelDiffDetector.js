@@ -0,0 +1,25 @@
+import { localizeTamperedRegions } from "../regionService.js";
+
+/**
+ * Scores the upload by its most suspicious region compared with its best match
+ */
+export const pixelDiffDetector = {
+  name: "pixelDiff",
+  requiresReference: true,
+  detect: async (context) => {
+    const { regions, changedRatio } = await localizeTamperedRegions(
+      context.uploadedImagePath,
+      context.referenceImagePath
+    );
+    const peak = regions.reduce((max, region) => Math.max(max, region.score), 0);
+
+    return {
+      score: (1 - peak) * 100,
+      regions,
+      details: {
+        regionCount: regions.length,
+        changedRatio,
+      },
+    };
+  },
+};
@@ -0,0 +1,28 @@
+import { computeSsim } from "../ssimService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Structural similarity between the upload and its best match. The score is
+ * driven by the least similar tile, since a forged field barely moves the
+ * page-wide average.
+ */
+export const ssimDetector = {
+  name: "ssim",
+  requiresReference: true,
+  detect: async (context) => {
+    const { ssim, tiles, minTile } = await computeSsim(
+      context.uploadedImagePath,
+      context.referenceImagePath,
+      detectionConfig.ssim
+    );
+
+    return {
+      score: Math.max(0, minTile.ssim) * 100,
+      details: {
+        globalSsim: ssim,
+        minTile,
+        tileMap: tiles,
+      },
+    };
+  },
+};
@@ -0,0 +1,60 @@
+import sharp from "sharp";
+import { calculateFingerprint, calculateSimilarity } from "../hashService.js";
+import { detectionConfig } from "../../config/detection.js";
+
+/**
+ * Compares the regional hashes of the upload with those of its best match so
+ * that local edits, which barely move a whole-page hash, still show up
+ */
+export const tileHashDetector = {
+  name: "tileHash",
+  requiresReference: true,
+  detect: async (context) => {
+    const { tileGrid } = detectionConfig.hashing;
+    const uploaded =
+      context.uploadedFingerprint ||
+      (await calculateFingerprint(
+        context.uploadedImagePath,
+        detectionConfig.hashing
+      ));
+    const reference =
+      context.referenceFingerprint ||
+      (await calculateFingerprint(
+        context.referenceImagePath,
+        detectionConfig.hashing
+      ));
+    const { width, height } = await sharp(context.uploadedImagePath).metadata();
+
+    const similarities = uploaded.tiles.map((tile, i) =>
+      calculateSimilarity(tile, reference.tiles[i])
+    );
+
+    // Tiles whose hash changed are reported in uploaded-image coordinates
+    const regions = [];
+    similarities.forEach((similarity, i) => {
+      if (similarity >= 100) return;
+      const column = i % tileGrid;
+      const row = Math.floor(i / tileGrid);
+      const x = Math.floor((column * width) / tileGrid);
+      const y = Math.floor((row * height) / tileGrid);
+      regions.push({
+        x,
+        y,
+        width: Math.floor(((column + 1) * width) / tileGrid) - x,
+        height: Math.floor(((row + 1) * height) / tileGrid) - y,
+        score: Number(((100 - similarity) / 100).toFixed(3)),
+      });
+    });
+
+    return {
+      score: Math.min(...similarities),
+      regions,
+      details: {
+        tileGrid,
+        changedTiles: regions.length,
+        meanTileSimilarity:
+          similarities.reduce((a, b) => a + b, 0) / similarities.length,
+      },
+    };
+  },
+};
@@ -0,0 +1,398 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { compareImages } from "./imageService.js";
+import { getHashIndex } from "./hashIndex.js";
+import { parseReferenceName } from "./referenceLibrary.js";
+import { ensureDirectoryExists } from "../utils/fileUtils.js";
+
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|tif|tiff|bmp)$/i;
+// Character maps sit next to the forged samples but are not documents themselves
+const CHAR_MAP_PATTERN = /\.char\.png$/i;
+
+/**
+ * Parses a .vt.xml ground-truth file into its document attributes and fraud boxes
+ * @param {string} xmlPath Path to the annotation file
+ * @returns {Object} Document attributes and annotated boxes
+ */
+export const parseGroundTruth = (xmlPath) => {
+  const xml = fs.readFileSync(xmlPath, "latin1");
+  const readAttributes = (tag) => {
+    const attributes = {};
+    for (const match of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+      attributes[match[1]] = match[2];
+    }
+    return attributes;
+  };
+
+  const documentTag = xml.match(/<document\b[^>]*>/);
+  const boxes = [...xml.matchAll(/<fraud\b[^>]*\/?>/g)].map((match) => {
+    const attributes = readAttributes(match[0]);
+    return {
+      value: attributes.value,
+      x: Number(attributes.x),
+      y: Number(attributes.y),
+      width: Number(attributes.width),
+      height: Number(attributes.height),
+    };
+  });
+
+  return {
+    document: documentTag ? readAttributes(documentTag[0]) : {},
+    boxes,
+  };
+};
+
+/**
+ * Collects every labeled sample in the sample library
+ * @param {string} libDir Library root containing genuine/ and the forgery folders
+ * @returns {Array<Object>} Samples with their label and annotations
+ */
+export const loadLabeledSamples = (libDir) => {
+  const samples = [];
+
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+        continue;
+      }
+      if (!IMAGE_PATTERN.test(entry.name) || CHAR_MAP_PATTERN.test(entry.name)) {
+        continue;
+      }
+
+      const relativePath = path.relative(libDir, entryPath);
+      const isForged = relativePath.split(path.sep)[0] !== "genuine";
+      const annotationPath = path.join(
+        directory,
+        `${path.basename(entry.name, path.extname(entry.name))}.vt.xml`
+      );
+      const groundTruth = fs.existsSync(annotationPath)
+        ? parseGroundTruth(annotationPath)
+        : { document: {}, boxes: [] };
+
+      samples.push({
+        path: entryPath,
+        relativePath,
+        category: isForged ? relativePath.split(path.sep)[0] : "genuine",
+        isForged,
+        // Annotated on forged samples; genuine ones carry it in their name
+        documentType:
+          groundTruth.document.type ||
+          parseReferenceName(entry.name).documentType ||
+          null,
+        boxes: groundTruth.boxes,
+      });
+    }
+  };
+
+  walk(libDir);
+  return samples.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+};
+
+/**
+ * Intersection over union of two boxes
+ * @param {Object} a Box with x, y, width and height
+ * @param {Object} b Box with x, y, width and height
+ * @returns {number} IoU between 0 and 1
+ */
+export const intersectionOverUnion = (a, b) => {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Area under the ROC curve, computed as the Mann-Whitney U statistic
+ * @param {Array<Object>} scored Items with `score` (higher = more likely forged) and `isForged`
+ * @returns {number|null} AUC, or null when only one class is present
+ */
+export const computeAuc = (scored) => {
+  const positives = scored.filter((item) => item.isForged);
+  const negatives = scored.filter((item) => !item.isForged);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  let wins = 0;
+  for (const positive of positives) {
+    for (const negative of negatives) {
+      if (positive.score > negative.score) wins += 1;
+      else if (positive.score === negative.score) wins += 0.5;
+    }
+  }
+  return wins / (positives.length * negatives.length);
+};
+
+/**
+ * ROC points for every distinct score threshold
+ * @param {Array<Object>} scored Items with `score` and `isForged`
+ * @returns {Array<Object>} Points sorted by false-positive rate
+ */
+export const computeRocCurve = (scored) => {
+  const positives = scored.filter((item) => item.isForged).length;
+  const negatives = scored.length - positives;
+  const thresholds = [...new Set(scored.map((item) => item.score))].sort(
+    (a, b) => b - a
+  );
+
+  return [{ threshold: Infinity, tpr: 0, fpr: 0 }].concat(
+    thresholds.map((threshold) => {
+      const flagged = scored.filter((item) => item.score >= threshold);
+      const truePositives = flagged.filter((item) => item.isForged).length;
+      return {
+        threshold,
+        tpr: positives ? truePositives / positives : 0,
+        fpr: negatives ? (flagged.length - truePositives) / negatives : 0,
+      };
+    })
+  );
+};
+
+/**
+ * Scores predicted regions against the annotated fraud boxes of one sample
+ * @param {Array<Object>} predicted Regions returned by the detection engine
+ * @param {Array<Object>} annotated Ground-truth boxes
+ * @returns {Object} Region-level metrics
+ */
+export const scoreRegions = (predicted, annotated) => {
+  const bestIous = annotated.map((box) =>
+    predicted.reduce(
+      (best, region) => Math.max(best, intersectionOverUnion(box, region)),
+      0
+    )
+  );
+  const matchedPredictions = predicted.filter((region) =>
+    annotated.some((box) => intersectionOverUnion(box, region) > 0)
+  ).length;
+
+  return {
+    annotated: annotated.length,
+    predicted: predicted.length,
+    meanIou: bestIous.length
+      ? bestIous.reduce((a, b) => a + b, 0) / bestIous.length
+      : null,
+    boxRecall: bestIous.length
+      ? bestIous.filter((iou) => iou > 0).length / bestIous.length
+      : null,
+    boxPrecision: predicted.length ? matchedPredictions / predicted.length : null,
+  };
+};
+
+/**
+ * Confusion-matrix metrics at a fixed decision
+ * @param {Array<Object>} results Items with `isForged` (label) and `predictedForged`
+ * @returns {Object} Accuracy, precision, recall and the raw counts
+ */
+export const computeClassificationMetrics = (results) => {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  for (const result of results) {
+    if (result.predictedForged && result.isForged) counts.tp++;
+    else if (result.predictedForged) counts.fp++;
+    else if (result.isForged) counts.fn++;
+    else counts.tn++;
+  }
+
+  return {
+    ...counts,
+    accuracy: results.length ? (counts.tp + counts.tn) / results.length : null,
+    precision:
+      counts.tp + counts.fp ? counts.tp / (counts.tp + counts.fp) : null,
+    recall: counts.tp + counts.fn ? counts.tp / (counts.tp + counts.fn) : null,
+  };
+};
+
+/**
+ * Proposes a decision threshold for scored samples: the highest similarity
+ * cut-off whose false-positive rate (genuine samples flagged as forged) stays
+ * within the target. Every cut-off between that genuine similarity and the
+ * forged one just below it flags the same samples, so the midpoint is
+ * proposed, leaving a margin on both sides.
+ * @param {Array<Object>} results Items with `similarity` and `isForged`
+ * @param {number} targetFpr Largest acceptable share of genuine samples flagged (0-1)
+ * @returns {Object|null} Threshold with its false-positive rate and recall, or
+ *   null when there are no genuine samples to calibrate on
+ */
+export const proposeThreshold = (results, targetFpr) => {
+  const genuine = results
+    .filter((result) => !result.isForged)
+    .map((result) => result.similarity)
+    .sort((a, b) => a - b);
+  const forged = results
+    .filter((result) => result.isForged)
+    .map((result) => result.similarity);
+  if (genuine.length === 0) return null;
+
+  // Genuine samples allowed below the threshold; the next one must stay above
+  const allowed = Math.floor(targetFpr * genuine.length + 1e-9);
+  const ceiling = allowed < genuine.length ? genuine[allowed] : 100;
+  const caught = forged.filter((similarity) => similarity < ceiling);
+  const floor = caught.length ? Math.max(...caught) : null;
+
+  let threshold = floor === null ? ceiling : (floor + ceiling) / 2;
+  // Rounded down to a hundredth, as long as that still catches the same forgeries
+  const rounded = Math.floor(threshold * 100) / 100;
+  if (floor === null || rounded > floor) threshold = rounded;
+
+  const flagged = (similarity) => similarity < threshold;
+  return {
+    threshold,
+    fpr: genuine.filter(flagged).length / genuine.length,
+    recall: forged.length ? forged.filter(flagged).length / forged.length : null,
+    genuine: genuine.length,
+    forged: forged.length,
+    // Distance to the closest sample on either side
+    margin: Math.min(
+      ceiling - threshold,
+      floor === null ? Infinity : threshold - floor
+    ),
+  };
+};
+
+/**
+ * Runs a single sample through the detection engine.
+ * The sample is copied under a neutral name first so that neither its filename
+ * nor its folder can influence the verdict.
+ * @param {Object} sample Sample returned by loadLabeledSamples
+ * @param {string} genuineDir Reference directory to compare against
+ * @param {string} workDir Scratch directory for the neutral copies
+ * @returns {Promise<Object>} Engine result for the sample
+ */
+const runSample = async (sample, genuineDir, workDir) => {
+  const neutralPath = path.join(
+    workDir,
+    `sample-${Date.now()}${path.extname(sample.path)}`
+  );
+  fs.copyFileSync(sample.path, neutralPath);
+
+  try {
+    return await compareImages(neutralPath, genuineDir);
+  } finally {
+    fs.unlinkSync(neutralPath);
+  }
+};
+
+/**
+ * Stages a reference directory without the sample itself (leave-one-out)
+ * @param {string} genuineDir Reference directory
+ * @param {string} excludedPath Sample to hide
+ * @param {string} workDir Scratch directory
+ * @returns {string} Path of the staged reference directory
+ */
+const stageReferencesWithout = (genuineDir, excludedPath, workDir) => {
+  const stagedDir = ensureDirectoryExists(path.join(workDir, "references"));
+  for (const file of fs.readdirSync(stagedDir)) {
+    fs.unlinkSync(path.join(stagedDir, file));
+  }
+  for (const file of fs.readdirSync(genuineDir)) {
+    const filePath = path.join(genuineDir, file);
+    if (path.resolve(filePath) === path.resolve(excludedPath)) continue;
+    if (!IMAGE_PATTERN.test(file)) continue;
+    fs.symlinkSync(path.resolve(filePath), path.join(stagedDir, file));
+  }
+  return stagedDir;
+};
+
+/**
+ * Evaluates the detection engine against every labeled sample in the library
+ * @param {Object} options
+ * @param {string} options.libDir Library root holding the labeled samples
+ * @param {string} options.genuineDir Reference directory to compare against
+ * @param {boolean} [options.leaveOneOut] Hide each genuine sample from its own comparison
+ * @param {boolean} [options.withoutReferences] Compare against an empty library,
+ *   so that only the reference-free detectors run
+ * @param {Array<string>} [options.categories] Only evaluate these categories, e.g. ["CopyPaste_Inter"]
+ * @param {string} [options.regionDetector] Score only the regions reported by this detector
+ * @param {Function} [options.onSample] Called with each per-sample result
+ * @returns {Promise<Object>} Per-sample results and aggregate metrics
+ */
+export const evaluateSamples = async ({
+  libDir,
+  genuineDir,
+  leaveOneOut = false,
+  withoutReferences = false,
+  categories = null,
+  regionDetector = null,
+  onSample = () => {},
+}) => {
+  const samples = loadLabeledSamples(libDir).filter(
+    (sample) => !categories || categories.includes(sample.category)
+  );
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "forgery-eval-"));
+  const results = [];
+  const emptyDir = withoutReferences
+    ? ensureDirectoryExists(path.join(workDir, "no-references"))
+    : null;
+
+  try {
+    for (const sample of samples) {
+      const referenceDir = withoutReferences
+        ? emptyDir
+        : leaveOneOut
+        ? stageReferencesWithout(genuineDir, sample.path, workDir)
+        : genuineDir;
+      if (leaveOneOut) {
+        // The staged directory changes for every sample
+        await getHashIndex(referenceDir).build();
+      }
+      const started = Date.now();
+      const result = await runSample(sample, referenceDir, workDir);
+      const predictedRegions = (result.regions || []).filter(
+        (region) => !regionDetector || region.detector === regionDetector
+      );
+
+      const sampleResult = {
+        sample: sample.relativePath,
+        category: sample.category,
+        documentType: sample.documentType,
+        isForged: sample.isForged,
+        predictedForged: result.isForged,
+        similarity: result.similarity,
+        // Higher score = more likely forged, used for the ROC curve
+        score: 100 - result.similarity,
+        bestMatch: result.bestMatch,
+        regions: sample.isForged
+          ? scoreRegions(predictedRegions, sample.boxes)
+          : null,
+        durationMs: Date.now() - started,
+        // Set when the engine failed instead of judging the sample
+        error: (result.details && result.details.error) || null,
+      };
+      results.push(sampleResult);
+      onSample(sampleResult);
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const regionResults = results.filter(
+    (result) => result.regions && result.regions.meanIou !== null
+  );
+  const average = (values) =>
+    values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+  return {
+    samples: results,
+    document: {
+      total: results.length,
+      ...computeClassificationMetrics(results),
+      auc: computeAuc(results),
+      roc: computeRocCurve(results),
+    },
+    region: {
+      samples: regionResults.length,
+      meanIou: average(regionResults.map((result) => result.regions.meanIou)),
+      boxRecall: average(
+        regionResults.map((result) => result.regions.boxRecall)
+      ),
+      boxPrecision: average(
+        regionResults
+          .map((result) => result.regions.boxPrecision)
+          .filter((value) => value !== null)
+      ),
+    },
+  };
+};
@@ -0,0 +1,120 @@
+import sharp from "sharp";
+import { loadNormalized, windowSsim } from "./ssimService.js";
+
+/**
+ * Structural similarity of one zone, over the windows holding ink in either
+ * image: blank paper matches anywhere and would dilute a changed amount
+ * @param {Buffer} upload Upload pixels
+ * @param {Buffer} reference Reference pixels
+ * @param {number} width Row length of both buffers
+ * @param {Object} zone Box in reference coordinates, at least one window in size
+ * @param {number} shiftX Horizontal shift of the upload
+ * @param {number} shiftY Vertical shift of the upload
+ * @param {Object} options { windowSize, inkLevel }
+ * @returns {number} Mean SSIM of the inked windows, 1 when the zone is blank
+ */
+const zoneSsim = (upload, reference, width, zone, shiftX, shiftY, options) => {
+  const { windowSize, inkLevel } = options;
+  const stride = Math.max(1, Math.floor(windowSize / 2));
+  const hasInk = (pixels, left, top) => {
+    for (let y = top; y < top + windowSize; y++) {
+      for (let x = left; x < left + windowSize; x++) {
+        if (pixels[y * width + x] < inkLevel) return true;
+      }
+    }
+    return false;
+  };
+
+  let total = 0;
+  let windows = 0;
+  for (let top = zone.y; top + windowSize <= zone.y + zone.height; top += stride) {
+    for (let left = zone.x; left + windowSize <= zone.x + zone.width; left += stride) {
+      if (
+        !hasInk(reference, left, top) &&
+        !hasInk(upload, left + shiftX, top + shiftY)
+      ) {
+        continue;
+      }
+      total += windowSsim(
+        upload,
+        reference,
+        width,
+        left,
+        top,
+        windowSize,
+        shiftX,
+        shiftY
+      );
+      windows++;
+    }
+  }
+  return windows ? total / windows : 1;
+};
+
+/**
+ * Compares named field zones of a registered upload with the same zones of
+ * its reference, each on its own. A zone is searched a few pixels around its
+ * position so that slight misregistration is not mistaken for an edit.
+ * @param {string} uploadedImagePath Upload registered onto the reference
+ * @param {string} referenceImagePath Normalized reference
+ * @param {Array<Object>} zones { name, x, y, width, height, minSimilarity? } in reference coordinates
+ * @param {Object} options
+ * @param {number} options.windowSize Side of the SSIM window
+ * @param {number} options.maxShift Largest shift searched, in pixels
+ * @param {number} options.inkLevel Grey level below which a pixel is ink
+ * @param {number} options.minSimilarity Similarity (0-1) below which a zone is altered
+ * @returns {Promise<Array<Object>>} Every zone with its similarity and status
+ */
+export const compareZones = async (
+  uploadedImagePath,
+  referenceImagePath,
+  zones,
+  options
+) => {
+  const { windowSize, maxShift } = options;
+  const { width, height } = await sharp(referenceImagePath).metadata();
+  const [upload, reference] = await Promise.all([
+    loadNormalized(uploadedImagePath, width, height),
+    loadNormalized(referenceImagePath, width, height),
+  ]);
+
+  return zones.map((zone) => {
+    const threshold = zone.minSimilarity ?? options.minSimilarity;
+    // Kept far enough from the edges for every shift to stay inside the image
+    const left = Math.max(maxShift, zone.x);
+    const top = Math.max(maxShift, zone.y);
+    const clipped = {
+      x: left,
+      y: top,
+      width: Math.min(zone.x + zone.width, width - maxShift) - left,
+      height: Math.min(zone.y + zone.height, height - maxShift) - top,
+    };
+    if (clipped.width < windowSize || clipped.height < windowSize) {
+      return {
+        ...zone,
+        similarity: null,
+        threshold,
+        status: "unchecked",
+        reason: "Zone is too small or lies outside the matched reference",
+      };
+    }
+
+    let best = -1;
+    for (let shiftY = -maxShift; shiftY <= maxShift; shiftY++) {
+      for (let shiftX = -maxShift; shiftX <= maxShift; shiftX++) {
+        best = Math.max(
+          best,
+          zoneSsim(upload, reference, width, clipped, shiftX, shiftY, options)
+        );
+      }
+    }
+    const similarity = Number(Math.max(0, best).toFixed(4));
+
+    return {
+      ...zone,
+      similarity,
+      threshold,
+      status: similarity < threshold ? "altered" : "intact",
+    };
+  });
+};
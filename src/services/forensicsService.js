@@ -0,0 +1,336 @@
+import path from "path";
+import sharp from "sharp";
+import crypto from "crypto";
+import { loadGrayscale } from "./glyphService.js";
+import { ensureDirectoryExists } from "../utils/fileUtils.js";
+
+// Robust spread of a normal distribution, relative to the median absolute deviation
+const MAD_SCALE = 1.4826;
+// Blur applied before deciding which pixels lie in flat (edge-free) areas
+const FLAT_BLUR_SIGMA = 2;
+// Largest grey-level gradient of the blurred page for a pixel to count as flat
+const FLAT_GRADIENT = 4;
+// Share of a cell's pixels that must be flat for its noise to be measured
+const MIN_FLAT_RATIO = 0.5;
+// Heatmap cells fade in from this multiple of the z-score threshold and are
+// fully opaque at the second one
+const HEATMAP_RANGE = [0.5, 2];
+const MAX_REGIONS = 50;
+
+const median = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+const rawImage = (data, width, height) =>
+  sharp(data, { raw: { width, height, channels: 1 } });
+
+/**
+ * Robust z-scores of per-cell measurements: distance from the page median in
+ * units of the median absolute deviation, which a few tampered cells cannot
+ * drag along. The spread is floored so a uniform page has no outliers.
+ * @param {Float64Array} values Measurement per cell (NaN for unmeasured cells)
+ * @param {number} minSpread Smallest spread, in the unit of the measurement
+ * @returns {Object} { zScores, median, spread, measured }
+ */
+const robustZScores = (values, minSpread) => {
+  const measured = values.filter((value) => !Number.isNaN(value));
+  const center = median(measured);
+  const spread = Math.max(
+    minSpread,
+    MAD_SCALE * median(measured.map((value) => Math.abs(value - center)))
+  );
+  const zScores = values.map((value) =>
+    Number.isNaN(value) ? 0 : (value - center) / spread
+  );
+  return { zScores, median: center, spread, measured: measured.length };
+};
+
+/**
+ * Groups neighbouring anomalous cells into regions in image coordinates
+ * @param {Float64Array} zScores z-score per cell
+ * @param {Object} grid { columns, rows, cellSize, width, height }
+ * @param {number} threshold z-score above which a cell is anomalous
+ * @returns {Array<Object>} Regions with their peak z-score
+ */
+const groupAnomalousCells = (zScores, grid, threshold) => {
+  const { columns, rows, cellSize, width, height } = grid;
+  const visited = new Uint8Array(zScores.length);
+  const regions = [];
+
+  for (let start = 0; start < zScores.length; start++) {
+    if (visited[start] || zScores[start] <= threshold) continue;
+
+    const stack = [start];
+    visited[start] = 1;
+    let minX = columns;
+    let minY = rows;
+    let maxX = 0;
+    let maxY = 0;
+    let peak = 0;
+    let cells = 0;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      minX = Math.min(minX, cx);
+      minY = Math.min(minY, cy);
+      maxX = Math.max(maxX, cx);
+      maxY = Math.max(maxY, cy);
+      peak = Math.max(peak, zScores[cell]);
+      cells++;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+          const next = ny * columns + nx;
+          if (!visited[next] && zScores[next] > threshold) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const x = minX * cellSize;
+    const y = minY * cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxX + 1) * cellSize) - x,
+      height: Math.min(height, (maxY + 1) * cellSize) - y,
+      cells,
+      zScore: Number(peak.toFixed(2)),
+    });
+  }
+
+  return regions.sort((a, b) => b.zScore - a.zScore).slice(0, MAX_REGIONS);
+};
+
+/**
+ * Paints the per-cell z-scores in red over a grayscale copy of the document
+ * @param {Object} image Image returned by loadGrayscale
+ * @param {Float64Array} zScores z-score per cell
+ * @param {Object} grid { columns, rows, cellSize }
+ * @param {number} threshold z-score threshold of the analysis
+ * @param {string} outputDir Directory to write the heatmap into
+ * @param {string} prefix Filename prefix, naming the analysis
+ * @returns {Promise<string>} Filename of the generated heatmap PNG
+ */
+const writeHeatmap = async (image, zScores, grid, threshold, outputDir, prefix) => {
+  ensureDirectoryExists(outputDir);
+
+  const cells = Buffer.alloc(grid.columns * grid.rows * 4);
+  zScores.forEach((z, cell) => {
+    const [from, to] = HEATMAP_RANGE;
+    const intensity = Math.max(
+      0,
+      Math.min(1, (z / threshold - from) / (to - from))
+    );
+    cells[cell * 4] = 255;
+    cells[cell * 4 + 3] = Math.round(intensity * 200);
+  });
+  const heat = await sharp(cells, {
+    raw: { width: grid.columns, height: grid.rows, channels: 4 },
+  })
+    .resize(grid.columns * grid.cellSize, grid.rows * grid.cellSize, {
+      kernel: "nearest",
+    })
+    .extract({ left: 0, top: 0, width: image.width, height: image.height })
+    .png()
+    .toBuffer();
+
+  const heatmapName = `heatmap-${prefix}-${Date.now()}-${crypto
+    .randomBytes(4)
+    .toString("hex")}.png`;
+  await rawImage(image.data, image.width, image.height)
+    .toColourspace("srgb")
+    .composite([{ input: heat, top: 0, left: 0 }])
+    .png()
+    .toFile(path.join(outputDir, heatmapName));
+
+  return heatmapName;
+};
+
+/**
+ * Turns anomalous cells into a score: 100 when none of the measured cells is
+ * anomalous, 0 once their share reaches maxAnomalousRatio
+ */
+const scoreAnomalies = (zScores, measured, threshold, maxAnomalousRatio) => {
+  const anomalous = zScores.filter((z) => z > threshold).length;
+  const ratio = measured ? anomalous / measured : 0;
+  return {
+    anomalous,
+    ratio,
+    score: Number(
+      (100 * (1 - Math.min(1, ratio / maxAnomalousRatio))).toFixed(2)
+    ),
+  };
+};
+
+const createGrid = (image, cellSize) => ({
+  columns: Math.ceil(image.width / cellSize),
+  rows: Math.ceil(image.height / cellSize),
+  cellSize,
+  width: image.width,
+  height: image.height,
+});
+
+/**
+ * Error Level Analysis: recompresses the document as JPEG and measures how
+ * much every cell changes. Content that went through a different compression
+ * history than the rest of the page (pasted from another file, or saved once
+ * more after editing) stands out. The error is only measured on edge pixels,
+ * since JPEG loses detail along edges while blank areas barely change at all.
+ * @param {string} imagePath Path to the document as received
+ * @param {Object} options Settings from detectionConfig.forensics.ela
+ * @param {string} [outputDir] Directory for the heatmap; none is written without it
+ * @returns {Promise<Object>} Score, anomalous regions, heatmap filename and statistics
+ */
+export const errorLevelAnalysis = async (imagePath, options, outputDir) => {
+  const image = await loadGrayscale(imagePath);
+  const { data, width, height } = image;
+  const recompressed = await sharp(
+    await rawImage(data, width, height).jpeg({ quality: options.quality }).toBuffer()
+  )
+    .grayscale()
+    .raw()
+    .toBuffer();
+
+  const grid = createGrid(image, options.cellSize);
+  const error = new Float64Array(grid.columns * grid.rows);
+  const edgePixels = new Float64Array(grid.columns * grid.rows);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gradient =
+        Math.abs(data[i + 1] - data[i - 1]) +
+        Math.abs(data[i + width] - data[i - width]);
+      if (gradient < options.edgeGradient) continue;
+      const cell =
+        Math.floor(y / grid.cellSize) * grid.columns +
+        Math.floor(x / grid.cellSize);
+      error[cell] += Math.abs(data[i] - recompressed[i]);
+      edgePixels[cell]++;
+    }
+  }
+
+  // Mean error per edge pixel, for the cells with enough edges to tell
+  const levels = error.map((total, cell) =>
+    edgePixels[cell] >= options.minEdgePixels ? total / edgePixels[cell] : NaN
+  );
+  const { zScores, median: center, spread, measured } = robustZScores(
+    levels,
+    options.minSpread
+  );
+  const { anomalous, ratio, score } = scoreAnomalies(
+    zScores,
+    measured,
+    options.zThreshold,
+    options.maxAnomalousRatio
+  );
+
+  return {
+    score,
+    regions: groupAnomalousCells(zScores, grid, options.zThreshold),
+    heatmap: outputDir
+      ? await writeHeatmap(image, zScores, grid, options.zThreshold, outputDir, "ela")
+      : null,
+    details: {
+      quality: options.quality,
+      cellSize: grid.cellSize,
+      measuredCells: measured,
+      anomalousCells: anomalous,
+      anomalousRatio: Number(ratio.toFixed(4)),
+      medianErrorLevel: Number(center.toFixed(4)),
+      spread: Number(spread.toFixed(4)),
+    },
+  };
+};
+
+/**
+ * Noise-inconsistency analysis: estimates the sensor/scan noise of every cell
+ * from the flat parts of the page (the residual against a median filter) and
+ * flags cells whose noise level doesn't match the rest of the document, as a
+ * region pasted from another scan or painted over digitally would.
+ * @param {string} imagePath Path to the document as received
+ * @param {Object} options Settings from detectionConfig.forensics.noise
+ * @param {string} [outputDir] Directory for the heatmap; none is written without it
+ * @returns {Promise<Object>} Score, anomalous regions, heatmap filename and statistics
+ */
+export const analyzeNoise = async (imagePath, options, outputDir) => {
+  const image = await loadGrayscale(imagePath);
+  const { data, width, height } = image;
+  const [denoised, blurred] = await Promise.all([
+    rawImage(data, width, height).median(3).grayscale().raw().toBuffer(),
+    rawImage(data, width, height)
+      .blur(FLAT_BLUR_SIGMA)
+      .grayscale()
+      .raw()
+      .toBuffer(),
+  ]);
+
+  const grid = createGrid(image, options.cellSize);
+  // Residuals are whole grey levels, so each cell keeps a histogram of them
+  const histograms = new Uint32Array(grid.columns * grid.rows * 256);
+  const flatPixels = new Uint32Array(grid.columns * grid.rows);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const flatness =
+        Math.abs(blurred[i + 1] - blurred[i - 1]) +
+        Math.abs(blurred[i + width] - blurred[i - width]);
+      if (flatness > FLAT_GRADIENT) continue;
+      const cell =
+        Math.floor(y / grid.cellSize) * grid.columns +
+        Math.floor(x / grid.cellSize);
+      histograms[cell * 256 + Math.abs(data[i] - denoised[i])]++;
+      flatPixels[cell]++;
+    }
+  }
+
+  // Noise level (robust standard deviation) of the cells that are mostly flat
+  const minFlatPixels = MIN_FLAT_RATIO * grid.cellSize * grid.cellSize;
+  const levels = new Float64Array(flatPixels.length).fill(NaN);
+  flatPixels.forEach((count, cell) => {
+    if (count < minFlatPixels) return;
+    let seen = 0;
+    let residual = 0;
+    while (seen + histograms[cell * 256 + residual] <= count / 2) {
+      seen += histograms[cell * 256 + residual];
+      residual++;
+    }
+    levels[cell] = MAD_SCALE * residual;
+  });
+  // Too little noise and too much are both out of place
+  const { zScores: signed, median: center, spread, measured } = robustZScores(
+    levels,
+    options.minSpread
+  );
+  const zScores = signed.map(Math.abs);
+  const { anomalous, ratio, score } = scoreAnomalies(
+    zScores,
+    measured,
+    options.zThreshold,
+    options.maxAnomalousRatio
+  );
+
+  return {
+    score,
+    regions: groupAnomalousCells(zScores, grid, options.zThreshold),
+    heatmap: outputDir
+      ? await writeHeatmap(image, zScores, grid, options.zThreshold, outputDir, "noise")
+      : null,
+    details: {
+      cellSize: grid.cellSize,
+      measuredCells: measured,
+      anomalousCells: anomalous,
+      anomalousRatio: Number(ratio.toFixed(4)),
+      medianNoiseLevel: Number(center.toFixed(4)),
+      spread: Number(spread.toFixed(4)),
+    },
+  };
+};
@@ -0,0 +1,89 @@
+/**
+ * Combines detector findings into a single similarity and verdict
+ * @param {Array<Object>} findings Findings returned by runDetectors
+ * @param {Object} fusionConfig Strategy, threshold and per-detector weights
+ * @returns {Object} Fused similarity, verdict and each detector's contribution
+ */
+export const fuseFindings = (findings, fusionConfig) => {
+  const { strategy, threshold, weights } = fusionConfig;
+  const scored = findings.filter(
+    (finding) =>
+      !finding.skipped &&
+      // A detector may decline to score a document it cannot judge
+      finding.score !== null &&
+      finding.score !== undefined &&
+      (weights[finding.detector] ?? 1) > 0
+  );
+
+  if (scored.length === 0) {
+    return {
+      similarity: 0,
+      isForged: true,
+      threshold,
+      strategy,
+      contributions: findings.map((finding) => ({ ...finding, weight: 0 })),
+    };
+  }
+
+  const totalWeight = scored.reduce(
+    (sum, finding) => sum + (weights[finding.detector] ?? 1),
+    0
+  );
+
+  let similarity;
+  if (strategy === "min") {
+    similarity = Math.min(...scored.map((finding) => finding.score));
+  } else {
+    similarity = scored.reduce(
+      (sum, finding) =>
+        sum + (finding.score * (weights[finding.detector] ?? 1)) / totalWeight,
+      0
+    );
+  }
+
+  const contributions = findings.map((finding) => {
+    if (!scored.includes(finding)) {
+      return { ...finding, weight: 0 };
+    }
+    const weight = (weights[finding.detector] ?? 1) / totalWeight;
+    return {
+      ...finding,
+      weight,
+      // Share of the fused similarity this detector is responsible for
+      contribution: strategy === "min" ? null : finding.score * weight,
+    };
+  });
+
+  return {
+    similarity,
+    isForged: similarity < threshold,
+    threshold,
+    strategy,
+    contributions,
+  };
+};
+
+/**
+ * Picks the fusion settings for a document type: its profile's overrides on
+ * top of the default strategy, threshold and weights
+ * @param {Object} fusionConfig Default fusion settings with their `profiles`
+ * @param {string|null} documentType Document type, e.g. "PaySlip"
+ * @returns {Object} { name, strategy, threshold, weights } to pass to fuseFindings
+ */
+export const resolveFusionProfile = (fusionConfig, documentType) => {
+  const { profiles = {}, strategy, threshold, weights } = fusionConfig;
+  // Document types are matched case-insensitively, like the reference filter
+  const name = documentType
+    ? Object.keys(profiles).find(
+        (type) => type.toLowerCase() === String(documentType).toLowerCase()
+      )
+    : undefined;
+  const profile = name ? profiles[name] : {};
+
+  return {
+    name: name || "default",
+    strategy: profile.strategy || strategy,
+    threshold: profile.threshold ?? threshold,
+    weights: { ...weights, ...profile.weights },
+  };
+};
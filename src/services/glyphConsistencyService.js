@@ -0,0 +1,305 @@
+import {
+  loadGrayscale,
+  findComponents,
+  filterGlyphs,
+  glyphBitmap,
+} from "./glyphService.js";
+
+// Side of the coarse shape descriptor used to find the same character elsewhere
+const DESCRIPTOR_SIZE = 12;
+// Neighbours on each side a glyph's stroke is compared with when it has no peers
+const LINE_NEIGHBOURS = 6;
+// Glyphs shorter than this share of the typical height (punctuation, accents)
+// have no meaningful baseline
+const MIN_BASELINE_HEIGHT_RATIO = 0.6;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Mean stroke thickness of a glyph: for every ink pixel, the shortest ink run
+ * through it along the horizontal, vertical and both diagonal directions
+ * @param {Object} bitmap Bitmap returned by glyphBitmap
+ * @returns {number} Thickness in pixels
+ */
+const strokeWidth = ({ width, height, bits }) => {
+  const directions = [
+    [1, 0],
+    [0, 1],
+    [1, 1],
+    [1, -1],
+  ];
+  let total = 0;
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!bits[y * width + x]) continue;
+      let thinnest = Infinity;
+      for (const [dx, dy] of directions) {
+        let run = 1;
+        for (const sign of [1, -1]) {
+          let cx = x + dx * sign;
+          let cy = y + dy * sign;
+          while (
+            cx >= 0 &&
+            cy >= 0 &&
+            cx < width &&
+            cy < height &&
+            bits[cy * width + cx]
+          ) {
+            run++;
+            cx += dx * sign;
+            cy += dy * sign;
+          }
+        }
+        thinnest = Math.min(thinnest, dx && dy ? run * Math.SQRT2 : run);
+      }
+      total += thinnest;
+      count++;
+    }
+  }
+
+  return count ? total / count : 0;
+};
+
+/**
+ * Ink coverage of a glyph on a fixed grid, so glyphs of slightly different
+ * sizes can be compared
+ */
+const shapeDescriptor = ({ width, height, bits }) => {
+  const size = DESCRIPTOR_SIZE;
+  const descriptor = new Float64Array(size * size);
+  const area = new Float64Array(size * size);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell =
+        Math.floor((y * size) / height) * size + Math.floor((x * size) / width);
+      descriptor[cell] += bits[y * width + x];
+      area[cell]++;
+    }
+  }
+  return descriptor.map((ink, cell) => (area[cell] ? ink / area[cell] : 0));
+};
+
+const descriptorSimilarity = (a, b) => {
+  let shared = 0;
+  let combined = 0;
+  for (let i = 0; i < a.length; i++) {
+    shared += Math.min(a[i], b[i]);
+    combined += Math.max(a[i], b[i]);
+  }
+  return combined ? shared / combined : 0;
+};
+
+/**
+ * Groups glyphs into text lines and each line into runs (words or values):
+ * glyphs on the same line separated by less than half their height
+ */
+const groupIntoLines = (glyphs) => {
+  const lines = [];
+  for (const glyph of [...glyphs].sort((a, b) => a.top - b.top)) {
+    const line = lines.find(
+      (candidate) =>
+        Math.min(candidate.bottom, glyph.bottom) -
+          Math.max(candidate.top, glyph.top) +
+          1 >=
+        Math.min(glyph.height, candidate.bottom - candidate.top + 1) / 2
+    );
+    if (line) {
+      line.glyphs.push(glyph);
+      line.top = Math.min(line.top, glyph.top);
+      line.bottom = Math.max(line.bottom, glyph.bottom);
+    } else {
+      lines.push({ top: glyph.top, bottom: glyph.bottom, glyphs: [glyph] });
+    }
+  }
+
+  for (const line of lines) {
+    line.glyphs.sort((a, b) => a.left - b.left);
+    line.runs = [];
+    for (const glyph of line.glyphs) {
+      const run = line.runs[line.runs.length - 1];
+      if (run && glyph.left - run[run.length - 1].right <= glyph.height / 2) {
+        run.push(glyph);
+      } else {
+        line.runs.push([glyph]);
+      }
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Measures every glyph of a document and compares it with the same character
+ * elsewhere in the document: an imitated character is drawn in a look-alike
+ * font, so it lacks close twins and its stroke width, height, baseline or
+ * spacing drift from those of the genuine occurrences.
+ * @param {string} imagePath Path to the (normalized) document
+ * @param {Object} options Settings from detectionConfig.glyphConsistency
+ * @returns {Promise<Object>} Glyph count and the outlier characters
+ */
+export const analyzeGlyphConsistency = async (imagePath, options) => {
+  const image = await loadGrayscale(imagePath);
+  const glyphs = filterGlyphs(
+    findComponents(image.data, image.width, image.height),
+    options
+  ).map((component) => {
+    const bitmap = glyphBitmap(image, component);
+    return {
+      ...component,
+      width: bitmap.width,
+      height: bitmap.height,
+      stroke: strokeWidth(bitmap),
+      descriptor: shapeDescriptor(bitmap),
+    };
+  });
+  if (glyphs.length === 0) {
+    return { glyphCount: 0, characters: [] };
+  }
+
+  // Baselines and spacing are measured within runs, where a single font applies
+  const typicalHeight = median(glyphs.map((glyph) => glyph.height));
+  const lines = groupIntoLines(glyphs);
+  lines.forEach((line, lineIndex) => {
+    for (const run of line.runs) {
+      const tall = run.filter(
+        (glyph) => glyph.height >= MIN_BASELINE_HEIGHT_RATIO * typicalHeight
+      );
+      const baseline = median((tall.length ? tall : run).map((glyph) => glyph.bottom));
+      run.forEach((glyph, i) => {
+        glyph.line = lineIndex;
+        glyph.run = run;
+        glyph.baselineOffset = glyph.bottom - baseline;
+        glyph.gap = i > 0 ? glyph.left - run[i - 1].right : null;
+      });
+    }
+
+    // Fallback stroke reference for glyphs without peers: their line neighbours
+    line.glyphs.forEach((glyph, i) => {
+      const neighbours = line.glyphs
+        .slice(Math.max(0, i - LINE_NEIGHBOURS), i)
+        .concat(line.glyphs.slice(i + 1, i + 1 + LINE_NEIGHBOURS));
+      glyph.lineStroke =
+        neighbours.length >= 3
+          ? median(neighbours.map((neighbour) => neighbour.stroke))
+          : glyph.stroke;
+    });
+  });
+
+  for (const glyph of glyphs) {
+    // Peers: probable occurrences of the same character on other lines
+    const peers = glyphs
+      .filter(
+        (other) =>
+          other.line !== glyph.line &&
+          Math.abs(other.height - glyph.height) <= 0.2 * glyph.height + 2 &&
+          Math.abs(other.width - glyph.width) <= 0.25 * glyph.width + 2
+      )
+      .map((other) => ({
+        other,
+        similarity: descriptorSimilarity(glyph.descriptor, other.descriptor),
+      }))
+      .filter(({ similarity }) => similarity >= options.peerSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, options.maxPeers);
+
+    const deviations = {};
+    if (peers.length > 0) {
+      const peerGaps = peers
+        .map(({ other }) => other.gap)
+        .filter((gap) => gap !== null);
+      deviations.shape = clamp((0.9 - peers[0].similarity) / 0.3);
+      deviations.stroke = clamp(
+        (Math.abs(
+          Math.log(glyph.stroke / median(peers.map(({ other }) => other.stroke)))
+        ) -
+          0.1) /
+          0.15
+      );
+      deviations.height = clamp(
+        (Math.abs(glyph.height - median(peers.map(({ other }) => other.height))) -
+          1) /
+          3
+      );
+      deviations.baseline =
+        glyph.height >= MIN_BASELINE_HEIGHT_RATIO * typicalHeight
+          ? clamp(
+              (Math.abs(
+                glyph.baselineOffset -
+                  median(peers.map(({ other }) => other.baselineOffset))
+              ) -
+                2) /
+                4
+            )
+          : 0;
+      deviations.spacing =
+        glyph.gap !== null && peerGaps.length >= 2
+          ? clamp(
+              (Math.abs(glyph.gap - median(peerGaps)) / glyph.height - 0.25) / 0.25
+            )
+          : 0;
+    } else {
+      // No other occurrence looks like this character at all
+      deviations.shape = 1;
+      deviations.stroke = clamp(
+        (Math.abs(Math.log(glyph.stroke / glyph.lineStroke)) - 0.1) / 0.15
+      );
+      deviations.height = 0;
+      deviations.baseline = 0;
+      deviations.spacing = 0;
+    }
+
+    // Shape and spacing vary with the neighbouring characters too, so they
+    // support a finding more than they make one
+    const weighted = {
+      shape: deviations.shape * 0.6,
+      stroke: deviations.stroke,
+      height: deviations.height,
+      baseline: deviations.baseline,
+      spacing: deviations.spacing * 0.5,
+    };
+    glyph.peerCount = peers.length;
+    glyph.deviations = deviations;
+    glyph.score = Math.max(...Object.values(weighted));
+    glyph.reasons = Object.keys(weighted).filter(
+      (feature) => weighted[feature] >= options.minOutlierScore
+    );
+  }
+
+  // Imitations replace whole values, so an outlier must be backed by its run
+  // or by more than one feature
+  for (const glyph of glyphs) {
+    glyph.runScore =
+      glyph.run.reduce((sum, member) => sum + member.score, 0) / glyph.run.length;
+  }
+  const characters = glyphs
+    .filter(
+      (glyph) =>
+        glyph.score >= options.minOutlierScore &&
+        (glyph.runScore >= options.minRunScore || glyph.reasons.length >= 2)
+    )
+    .sort((a, b) => a.top - b.top || a.left - b.left)
+    .map((glyph) => ({
+      x: glyph.left,
+      y: glyph.top,
+      width: glyph.width,
+      height: glyph.height,
+      score: Number(glyph.score.toFixed(3)),
+      reasons: glyph.reasons,
+      peers: glyph.peerCount,
+      deviations: Object.fromEntries(
+        Object.entries(glyph.deviations).map(([feature, value]) => [
+          feature,
+          Number(value.toFixed(3)),
+        ])
+      ),
+    }));
+
+  return { glyphCount: glyphs.length, characters };
+};
@@ -0,0 +1,200 @@
+import fs from "fs";
+import sharp from "sharp";
+
+// Grey level below which a pixel counts as ink
+export const INK_THRESHOLD = 128;
+// Components up to this many pixels are treated as noise specks, not glyphs
+export const SPECK_MAX_PIXELS = 4;
+
+/**
+ * Decodes an image into one grayscale byte per pixel
+ * @param {string|Buffer} input Image path or buffer
+ * @returns {Promise<Object>} { data, width, height }
+ */
+export const loadGrayscale = async (input) => {
+  const { data, info } = await sharp(input)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+/**
+ * Labels the 8-connected ink components of a binarized page
+ * @param {Buffer} pixels Raw grayscale pixels
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @returns {Array<Object>} Components with their bounding box and pixel count
+ */
+export const findComponents = (pixels, width, height) => {
+  const labels = new Int32Array(width * height);
+  const parent = [0];
+
+  const find = (label) => {
+    while (parent[label] !== label) {
+      parent[label] = parent[parent[label]];
+      label = parent[label];
+    }
+    return label;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (pixels[i] >= INK_THRESHOLD) continue;
+
+      // Already-visited neighbours: left, upper-left, up, upper-right
+      const neighbours = [
+        x > 0 ? labels[i - 1] : 0,
+        x > 0 && y > 0 ? labels[i - width - 1] : 0,
+        y > 0 ? labels[i - width] : 0,
+        x < width - 1 && y > 0 ? labels[i - width + 1] : 0,
+      ].filter(Boolean);
+
+      if (neighbours.length === 0) {
+        labels[i] = parent.length;
+        parent.push(parent.length);
+      } else {
+        labels[i] = neighbours[0];
+        for (let n = 1; n < neighbours.length; n++) {
+          union(neighbours[0], neighbours[n]);
+        }
+      }
+    }
+  }
+
+  const components = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const label = labels[y * width + x];
+      if (!label) continue;
+      const root = find(label);
+      const component = components.get(root);
+      if (!component) {
+        components.set(root, { left: x, top: y, right: x, bottom: y, pixels: 1 });
+      } else {
+        component.left = Math.min(component.left, x);
+        component.right = Math.max(component.right, x);
+        component.bottom = Math.max(component.bottom, y);
+        component.pixels++;
+      }
+    }
+  }
+
+  return [...components.values()];
+};
+
+/**
+ * Keeps the components that look like characters rather than specks or rules
+ * @param {Array<Object>} components Components returned by findComponents
+ * @param {Object} options
+ * @param {number} options.minGlyphHeight Smallest glyph height, in pixels
+ * @param {number} options.maxGlyphSize Largest glyph width and height, in pixels
+ * @returns {Array<Object>} Glyph components
+ */
+export const filterGlyphs = (components, { minGlyphHeight, maxGlyphSize }) =>
+  components.filter((component) => {
+    const glyphHeight = component.bottom - component.top + 1;
+    const glyphWidth = component.right - component.left + 1;
+    return (
+      component.pixels > SPECK_MAX_PIXELS &&
+      glyphHeight >= minGlyphHeight &&
+      glyphHeight <= maxGlyphSize &&
+      glyphWidth <= maxGlyphSize
+    );
+  });
+
+/**
+ * Copies the ink mask inside a component's bounding box
+ * @param {Object} image Image returned by loadGrayscale
+ * @param {Object} glyph Component with left, top, right and bottom
+ * @returns {Object} { width, height, bits } with one byte (0/1) per pixel
+ */
+export const glyphBitmap = ({ data, width }, glyph) => {
+  const glyphWidth = glyph.right - glyph.left + 1;
+  const glyphHeight = glyph.bottom - glyph.top + 1;
+  const bits = new Uint8Array(glyphWidth * glyphHeight);
+  for (let y = 0; y < glyphHeight; y++) {
+    for (let x = 0; x < glyphWidth; x++) {
+      bits[y * glyphWidth + x] =
+        data[(glyph.top + y) * width + glyph.left + x] < INK_THRESHOLD ? 1 : 0;
+    }
+  }
+  return { width: glyphWidth, height: glyphHeight, bits };
+};
+
+/**
+ * Ink overlap of two glyph bitmaps, aligned on their top-left corner and
+ * allowed to slide by one pixel to absorb rounding in where they were cut
+ * @param {Object} a Bitmap returned by glyphBitmap
+ * @param {Object} b Bitmap returned by glyphBitmap
+ * @returns {number} Best intersection over union of the ink, between 0 and 1
+ */
+export const bitmapSimilarity = (a, b) => {
+  const width = Math.max(a.width, b.width) + 1;
+  const height = Math.max(a.height, b.height) + 1;
+  const inkAt = (bitmap, x, y) =>
+    x >= 0 && y >= 0 && x < bitmap.width && y < bitmap.height
+      ? bitmap.bits[y * bitmap.width + x]
+      : 0;
+
+  let best = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      let intersection = 0;
+      let union = 0;
+      for (let y = -1; y < height; y++) {
+        for (let x = -1; x < width; x++) {
+          const inkA = inkAt(a, x, y);
+          const inkB = inkAt(b, x + dx, y + dy);
+          if (inkA && inkB) intersection++;
+          if (inkA || inkB) union++;
+        }
+      }
+      if (union > 0) best = Math.max(best, intersection / union);
+    }
+  }
+  return best;
+};
+
+const referenceGlyphCache = new Map();
+
+/**
+ * Glyphs and bitmaps of a reference document, cached in memory until the
+ * file's size or modification time changes
+ * @param {string} filePath Reference image path
+ * @param {Object} options Glyph size limits, see filterGlyphs
+ * @returns {Promise<Array<Object>>} Glyph components, each with its bitmap
+ */
+export const getReferenceGlyphs = async (filePath, options) => {
+  const stats = fs.statSync(filePath);
+  const cached = referenceGlyphCache.get(filePath);
+  if (
+    cached &&
+    cached.size === stats.size &&
+    cached.mtimeMs === stats.mtimeMs &&
+    cached.options === JSON.stringify(options)
+  ) {
+    return cached.glyphs;
+  }
+
+  const image = await loadGrayscale(filePath);
+  const glyphs = filterGlyphs(
+    findComponents(image.data, image.width, image.height),
+    options
+  ).map((glyph) => ({ ...glyph, bitmap: glyphBitmap(image, glyph) }));
+
+  referenceGlyphCache.set(filePath, {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    options: JSON.stringify(options),
+    glyphs,
+  });
+  return glyphs;
+};
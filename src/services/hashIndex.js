@@ -0,0 +1,313 @@
+import fs from "fs";
+import path from "path";
+import { threadId } from "worker_threads";
+import { calculateFingerprint, fingerprintKey } from "./hashService.js";
+import { normalizeDocument } from "./preprocessService.js";
+import { mapWithConcurrency } from "./batchService.js";
+import { detectionConfig } from "../config/detection.js";
+import { serverConfig } from "../config/server.js";
+
+const INDEX_FILE = "hash-index.json";
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|tif|tiff|bmp)$/i;
+
+/**
+ * Number of differing positions between two equal-length hashes
+ * @param {string} hash1 First binary hash
+ * @param {string} hash2 Second binary hash
+ * @returns {number} Hamming distance
+ */
+export const hammingDistance = (hash1, hash2) => {
+  let distance = Math.abs(hash1.length - hash2.length);
+  const length = Math.min(hash1.length, hash2.length);
+  for (let i = 0; i < length; i++) {
+    if (hash1[i] !== hash2[i]) distance++;
+  }
+  return distance;
+};
+
+/**
+ * Creates a BK-tree over hashes, suited to nearest-neighbour search under
+ * the Hamming distance: lookups only descend into children whose edge
+ * distance can still contain a closer match.
+ * @returns {Object} Tree operations
+ */
+export const createBkTree = () => {
+  let root = null;
+  let size = 0;
+
+  const add = (key, hash) => {
+    size++;
+    const node = { key, hash, children: new Map() };
+    if (!root) {
+      root = node;
+      return;
+    }
+
+    let current = root;
+    for (;;) {
+      const distance = hammingDistance(hash, current.hash);
+      const child = current.children.get(distance);
+      if (!child) {
+        current.children.set(distance, node);
+        return;
+      }
+      current = child;
+    }
+  };
+
+  /**
+   * Finds the closest key to a hash
+   * @param {string} hash Query hash
+   * @param {Function} [accept] Predicate on keys; rejected keys are skipped
+   * @returns {Object|null} { key, hash, distance } of the nearest accepted entry
+   */
+  const nearest = (hash, accept = () => true) => {
+    if (!root) return null;
+
+    let best = null;
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = hammingDistance(hash, node.hash);
+
+      if (
+        accept(node.key) &&
+        (!best ||
+          distance < best.distance ||
+          (distance === best.distance && node.key < best.key))
+      ) {
+        best = { key: node.key, hash: node.hash, distance };
+      }
+
+      const radius = best ? best.distance : Infinity;
+      for (const [edge, child] of node.children) {
+        // Triangle inequality: only subtrees within the current radius can improve
+        if (Math.abs(edge - distance) <= radius) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return best;
+  };
+
+  return { add, nearest, size: () => size };
+};
+
+/**
+ * Creates a persisted index of reference fingerprints for one directory.
+ * Fingerprints are stored in a JSON file next to the references and only
+ * recomputed when a file's size or modification time changes, or when the
+ * hashing settings differ from the ones the index was built with.
+ * @param {string} genuineDir Directory holding the genuine documents
+ * @returns {Object} Index operations
+ */
+const createHashIndex = (genuineDir) => {
+  const indexPath = path.join(genuineDir, INDEX_FILE);
+  const signature = JSON.stringify({
+    hashing: detectionConfig.hashing,
+    preprocessing: detectionConfig.preprocessing,
+  });
+  let entries = {};
+  let tree = createBkTree();
+  let built = false;
+  let building = null;
+  // Modification time of the index file as last read or written here; any
+  // other thread or process changing a reference rewrites the file
+  let syncedMtimeMs = null;
+
+  const indexMtimeMs = () =>
+    fs.existsSync(indexPath) ? fs.statSync(indexPath).mtimeMs : null;
+
+  const readIndex = () => {
+    if (!fs.existsSync(indexPath)) return {};
+    try {
+      const mtimeMs = indexMtimeMs();
+      const stored = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+      syncedMtimeMs = mtimeMs;
+      return stored.signature === signature ? stored.entries : {};
+    } catch (error) {
+      console.error("Error reading hash index, rebuilding it:", error);
+      return {};
+    }
+  };
+
+  // Every worker thread holds its own index of the same directory, so the
+  // file is replaced whole rather than rewritten in place
+  const save = () => {
+    const temporaryPath = `${indexPath}.${process.pid}-${threadId}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify({ signature, entries }));
+    const { mtimeMs } = fs.statSync(temporaryPath);
+    fs.renameSync(temporaryPath, indexPath);
+    syncedMtimeMs = mtimeMs;
+  };
+
+  const rebuildTree = () => {
+    tree = createBkTree();
+    for (const [filename, entry] of Object.entries(entries)) {
+      tree.add(filename, fingerprintKey(entry));
+    }
+  };
+
+  const fingerprint = async (filename) => {
+    const filePath = path.join(genuineDir, filename);
+    const stats = fs.statSync(filePath);
+    // References are fingerprinted the same way uploads are, after normalization
+    const { buffer } = await normalizeDocument(
+      filePath,
+      detectionConfig.preprocessing
+    );
+    return {
+      ...(await calculateFingerprint(buffer, detectionConfig.hashing)),
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+    };
+  };
+
+  const isCurrent = (entry, filename) => {
+    const stats = fs.statSync(path.join(genuineDir, filename));
+    return entry.size === stats.size && entry.mtimeMs === stats.mtimeMs;
+  };
+
+  const runBuild = async () => {
+    const stored = readIndex();
+    const files = fs.existsSync(genuineDir)
+      ? fs.readdirSync(genuineDir).filter((file) => IMAGE_PATTERN.test(file))
+      : [];
+    const next = {};
+    const stale = [];
+
+    for (const file of files) {
+      if (stored[file] && isCurrent(stored[file], file)) {
+        next[file] = stored[file];
+      } else {
+        stale.push(file);
+      }
+    }
+    const fingerprints = await mapWithConcurrency(
+      stale,
+      serverConfig.workers.referenceConcurrency,
+      fingerprint
+    );
+    stale.forEach((file, index) => {
+      next[file] = fingerprints[index];
+    });
+    const computed = stale.length;
+
+    entries = next;
+    rebuildTree();
+    // Rewriting an unchanged index would send the other threads rebuilding
+    const removed = Object.keys(stored).some((file) => !next[file]);
+    if (fs.existsSync(genuineDir) && (computed > 0 || removed)) save();
+    built = true;
+
+    console.log(
+      `Hash index ready: ${files.length} references (${computed} fingerprinted)`
+    );
+    return entries;
+  };
+
+  // Concurrent callers share a single build
+  const build = () => {
+    if (!building) {
+      building = runBuild().finally(() => {
+        building = null;
+      });
+    }
+    return building;
+  };
+
+  return {
+    /**
+     * Synchronizes the index with the files in the directory
+     */
+    build,
+
+    ensureBuilt: async () => {
+      if (!built) await build();
+    },
+
+    add: async (filename) => {
+      entries[filename] = await fingerprint(filename);
+      tree.add(filename, fingerprintKey(entries[filename]));
+      save();
+      return entries[filename];
+    },
+
+    /**
+     * Recomputes the fingerprint of a reference whose image changed
+     */
+    update: async (filename) => {
+      entries[filename] = await fingerprint(filename);
+      rebuildTree();
+      save();
+      return entries[filename];
+    },
+
+    remove: (filename) => {
+      if (!entries[filename]) return;
+      delete entries[filename];
+      rebuildTree();
+      save();
+    },
+
+    get: (filename) => entries[filename] || null,
+
+    /**
+     * Whether a reference is indexed and the index file has not been changed
+     * since, by another worker thread or the API replacing a reference. Costs
+     * one stat of the index file rather than one per reference.
+     * @param {string} filename Reference filename
+     * @returns {boolean}
+     */
+    isCurrent: (filename) =>
+      Boolean(entries[filename]) && indexMtimeMs() === syncedMtimeMs,
+
+    /**
+     * Finds the reference whose fingerprint is closest to another fingerprint
+     * @param {Object} fingerprint Fingerprint returned by calculateFingerprint
+     * @param {Array<string>} [allowed] Restrict the search to these filenames
+     * @returns {Object|null} { filename, fingerprint, distance }
+     */
+    nearest: (fingerprint, allowed = null) => {
+      const allowedSet = allowed ? new Set(allowed) : null;
+      const match = tree.nearest(
+        fingerprintKey(fingerprint),
+        allowedSet ? (key) => allowedSet.has(key) : undefined
+      );
+      return match
+        ? {
+            filename: match.key,
+            fingerprint: entries[match.key],
+            distance: match.distance,
+          }
+        : null;
+    },
+
+    size: () => tree.size(),
+  };
+};
+
+const indexes = new Map();
+
+/**
+ * Returns the shared hash index for a reference directory
+ * @param {string} genuineDir Directory holding the genuine documents
+ * @returns {Object} The directory's hash index
+ */
+export const getHashIndex = (genuineDir) => {
+  const key = path.resolve(genuineDir);
+  if (!indexes.has(key)) {
+    indexes.set(key, createHashIndex(key));
+  }
+  return indexes.get(key);
+};
+
+/**
+ * Forgets the shared hash index of a directory that is about to be removed,
+ * e.g. a temporary one-file reference library
+ * @param {string} genuineDir Directory holding the genuine documents
+ */
+export const releaseHashIndex = (genuineDir) => {
+  indexes.delete(path.resolve(genuineDir));
+};
@@ -0,0 +1,221 @@
+import sharp from "sharp";
+
+// Every fingerprint is derived from a single decode at this resolution
+const BASE_SIZE = 1024;
+
+/**
+ * Box-filter resample of a grayscale buffer
+ * @param {Uint8Array|Float64Array} pixels Source pixels
+ * @param {number} width Source width
+ * @param {number} height Source height
+ * @param {number} targetWidth Target width
+ * @param {number} targetHeight Target height
+ * @returns {Float64Array} Resampled pixels
+ */
+const resample = (pixels, width, height, targetWidth, targetHeight) => {
+  const output = new Float64Array(targetWidth * targetHeight);
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor((ty * height) / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor((tx * width) / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += pixels[y * width + x];
+        }
+      }
+      output[ty * targetWidth + tx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return output;
+};
+
+const median = (values) => {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toBits = (values, threshold) =>
+  Array.from(values, (value) => (value > threshold ? "1" : "0")).join("");
+
+/**
+ * Average hash: each cell compared with the mean brightness
+ */
+const averageHash = (pixels, width, height, size) => {
+  const cells = resample(pixels, width, height, size, size);
+  const mean = cells.reduce((a, b) => a + b, 0) / cells.length;
+  return toBits(cells, mean);
+};
+
+/**
+ * Difference hash: horizontal brightness gradient between adjacent cells
+ */
+const differenceHash = (pixels, width, height, size) => {
+  const cells = resample(pixels, width, height, size + 1, size);
+  let bits = "";
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      bits +=
+        cells[y * (size + 1) + x] < cells[y * (size + 1) + x + 1] ? "1" : "0";
+    }
+  }
+  return bits;
+};
+
+/**
+ * Perceptual hash: low-frequency DCT coefficients compared with their median
+ */
+const perceptualHash = (pixels, width, height, size) => {
+  const n = size * 4;
+  const cells = resample(pixels, width, height, n, n);
+
+  // Separable DCT-II, keeping only the size x size low-frequency block
+  const cosines = [];
+  for (let u = 0; u < size; u++) {
+    cosines.push(
+      Array.from({ length: n }, (_, x) =>
+        Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n))
+      )
+    );
+  }
+
+  const rows = new Float64Array(n * size);
+  for (let y = 0; y < n; y++) {
+    for (let u = 0; u < size; u++) {
+      let sum = 0;
+      for (let x = 0; x < n; x++) sum += cells[y * n + x] * cosines[u][x];
+      rows[y * size + u] = sum;
+    }
+  }
+
+  const coefficients = new Float64Array(size * size);
+  for (let v = 0; v < size; v++) {
+    for (let u = 0; u < size; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) sum += rows[y * size + u] * cosines[v][y];
+      coefficients[v * size + u] = sum;
+    }
+  }
+
+  // The DC term only reflects overall brightness, so leave it out of the median
+  return toBits(coefficients, median(coefficients.subarray(1)));
+};
+
+/**
+ * Wavelet hash: energy of the Haar detail bands of each cell compared with
+ * their median, so it follows edges (text strokes) rather than brightness
+ */
+const waveletHash = (pixels, width, height, size) => {
+  const n = size * 2;
+  const cells = resample(pixels, width, height, n, n);
+  const energy = new Float64Array(size * size);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const a = cells[2 * y * n + 2 * x];
+      const b = cells[2 * y * n + 2 * x + 1];
+      const c = cells[(2 * y + 1) * n + 2 * x];
+      const d = cells[(2 * y + 1) * n + 2 * x + 1];
+      // Horizontal, vertical and diagonal detail coefficients
+      energy[y * size + x] =
+        Math.abs(a - b + c - d) + Math.abs(a + b - c - d) + Math.abs(a - b - c + d);
+    }
+  }
+
+  return toBits(energy, median(energy));
+};
+
+export const HASH_ALGORITHMS = {
+  ahash: averageHash,
+  dhash: differenceHash,
+  phash: perceptualHash,
+  whash: waveletHash,
+};
+
+/**
+ * Calculates the global and tiled fingerprints of an image
+ * @param {string|Buffer} input Image path or buffer
+ * @param {Object} options
+ * @param {Array<string>} options.algorithms Global hash algorithms (keys of HASH_ALGORITHMS)
+ * @param {number} options.hashSize Side of the global hashes (size x size bits)
+ * @param {number} options.tileGrid Number of tiles per side for the regional hashes
+ * @param {string} options.tileAlgorithm Algorithm used for the regional hashes
+ * @param {number} options.tileHashSize Side of each regional hash
+ * @returns {Promise<Object>} { hashes: { algorithm: bits }, tiles: [bits] }
+ */
+export const calculateFingerprint = async (input, options) => {
+  try {
+    const pixels = await sharp(input)
+      .flatten({ background: "#ffffff" })
+      .grayscale()
+      .resize(BASE_SIZE, BASE_SIZE, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    const hashes = {};
+    for (const algorithm of options.algorithms) {
+      if (!HASH_ALGORITHMS[algorithm]) {
+        throw new Error(`Unknown hash algorithm: ${algorithm}`);
+      }
+      hashes[algorithm] = HASH_ALGORITHMS[algorithm](
+        pixels,
+        BASE_SIZE,
+        BASE_SIZE,
+        options.hashSize
+      );
+    }
+
+    const tiles = [];
+    const tileHash = HASH_ALGORITHMS[options.tileAlgorithm];
+    const tileSize = Math.floor(BASE_SIZE / options.tileGrid);
+    const tilePixels = new Uint8Array(tileSize * tileSize);
+    for (let ty = 0; ty < options.tileGrid; ty++) {
+      for (let tx = 0; tx < options.tileGrid; tx++) {
+        for (let y = 0; y < tileSize; y++) {
+          const start = (ty * tileSize + y) * BASE_SIZE + tx * tileSize;
+          tilePixels.set(pixels.subarray(start, start + tileSize), y * tileSize);
+        }
+        tiles.push(tileHash(tilePixels, tileSize, tileSize, options.tileHashSize));
+      }
+    }
+
+    return { hashes, tiles };
+  } catch (error) {
+    console.error("Error calculating image fingerprint:", error);
+    throw error;
+  }
+};
+
+/**
+ * Key used to search the index: all global hashes concatenated, so the
+ * Hamming distance between keys is the sum of the per-algorithm distances
+ * @param {Object} fingerprint Fingerprint returned by calculateFingerprint
+ * @returns {string} Concatenated hash bits
+ */
+export const fingerprintKey = (fingerprint) =>
+  Object.keys(fingerprint.hashes)
+    .sort()
+    .map((algorithm) => fingerprint.hashes[algorithm])
+    .join("");
+
+/**
+ * Percentage of matching bits between two hashes of equal length
+ * @param {string} hash1 First binary hash
+ * @param {string} hash2 Second binary hash
+ * @returns {number} Similarity between 0 and 100
+ */
+export const calculateSimilarity = (hash1, hash2) => {
+  let similar = 0;
+  for (let i = 0; i < hash1.length; i++) {
+    if (hash1[i] === hash2[i]) similar++;
+  }
+  return (similar / hash1.length) * 100;
+};
@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const VERDICTS = ["genuine", "forged"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const historyError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Parses an optional date query parameter
+ * @param {string} value Raw value, e.g. "2025-01-31" or a full ISO timestamp
+ * @param {string} name Parameter name, for the error message
+ * @param {boolean} [endOfDay] Whether a bare date means the end of that day
+ * @returns {number|null} Milliseconds since the epoch, or null when absent
+ */
+const parseDateParam = (value, name, endOfDay = false) => {
+  if (value === undefined || value === "") return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw historyError(`${name} must be a date, e.g. 2025-01-31`, 400);
+  }
+  // "to=2025-01-31" should include verifications made on the 31st
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? time + 24 * 60 * 60 * 1000 - 1
+    : time;
+};
+
+/**
+ * Parses an optional non-negative integer query parameter
+ */
+const parseCountParam = (value, name, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw historyError(`${name} must be a non-negative integer`, 400);
+  }
+  return count;
+};
+
+/**
+ * Creates the verification history: an append-only JSON-lines file with one
+ * record per verification. Records are never rewritten or deleted, so the file
+ * doubles as an audit trail: later changes (such as the deletion of a record's
+ * files) are appended as amendments and merged in on read. Lines that cannot
+ * be parsed are skipped.
+ * @param {string} historyFile Path of the JSON-lines file
+ * @returns {Object} History operations
+ */
+export const createHistoryStore = (historyFile) => {
+  const readRecords = () => {
+    if (!fs.existsSync(historyFile)) return [];
+
+    const records = new Map();
+    const lines = fs.readFileSync(historyFile, "utf8").split("\n");
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.error(`Skipping corrupt history line ${index + 1}:`, error.message);
+        return;
+      }
+
+      if (entry.amends) {
+        const { amends, ...changes } = entry;
+        const record = records.get(amends);
+        if (record) {
+          records.set(amends, {
+            ...record,
+            ...changes,
+            amendments: [...(record.amendments || []), changes],
+          });
+        }
+      } else {
+        records.set(entry.id, entry);
+      }
+    });
+    return [...records.values()];
+  };
+
+  const append = (entry) => {
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+    // A single append per line keeps concurrent writers from interleaving
+    fs.appendFileSync(historyFile, `${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    /**
+     * Appends a verification to the history
+     * @param {Object} entry Verification fields (hash, verdict, scores, ...)
+     * @returns {Object} The stored record, with its id and timestamp
+     */
+    record: (entry) => {
+      const record = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...entry,
+      };
+      append(record);
+      return record;
+    },
+
+    /**
+     * Records a change to a verification, e.g. the deletion of its files
+     * @param {string} id Record id
+     * @param {Object} changes Fields to change
+     * @returns {Object} The record with the changes applied
+     */
+    amend: (id, changes) => {
+      const record = readRecords().find((entry) => entry.id === id);
+      if (!record) {
+        throw historyError(`Verification not found: ${id}`, 404);
+      }
+      const amendment = { amendedAt: new Date().toISOString(), ...changes };
+      append({ amends: id, ...amendment });
+      return {
+        ...record,
+        ...amendment,
+        amendments: [...(record.amendments || []), amendment],
+      };
+    },
+
+    /**
+     * Lists past verifications, newest first
+     * @param {Object} query Filters: verdict, fileHash, fileName (substring),
+     *   bestMatch, batchId, from, to, plus limit and offset for paging
+     * @returns {Object} { total, limit, offset, records }
+     */
+    list: (query = {}) => {
+      const { verdict, fileHash, fileName, bestMatch, batchId } = query;
+      if (verdict !== undefined && !VERDICTS.includes(verdict)) {
+        throw historyError(`verdict must be one of: ${VERDICTS.join(", ")}`, 400);
+      }
+      const from = parseDateParam(query.from, "from");
+      const to = parseDateParam(query.to, "to", true);
+      const limit = Math.min(
+        parseCountParam(query.limit, "limit", DEFAULT_PAGE_SIZE),
+        MAX_PAGE_SIZE
+      );
+      const offset = parseCountParam(query.offset, "offset", 0);
+
+      const matches = readRecords()
+        .filter((record) => {
+          const time = Date.parse(record.createdAt);
+          return (
+            (!verdict || record.verdict === verdict) &&
+            (!fileHash || record.fileHash === fileHash.toLowerCase()) &&
+            (!fileName ||
+              String(record.fileName)
+                .toLowerCase()
+                .includes(fileName.toLowerCase())) &&
+            (!bestMatch || record.bestMatch === bestMatch) &&
+            (!batchId || record.batchId === batchId) &&
+            (from === null || time >= from) &&
+            (to === null || time <= to)
+          );
+        })
+        .reverse();
+
+      return {
+        total: matches.length,
+        limit,
+        offset,
+        records: matches.slice(offset, offset + limit),
+      };
+    },
+
+    /**
+     * @param {string} id Record id
+     * @returns {Object} The record
+     */
+    get: (id) => {
+      const record = readRecords().find((entry) => entry.id === id);
+      if (!record) {
+        throw historyError(`Verification not found: ${id}`, 404);
+      }
+      return record;
+    },
+  };
+};
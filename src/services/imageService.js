@@ -1,44 +1,34 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
-import sharp from "sharp";
-import crypto from "crypto";
+import { calculateFingerprint } from "./hashService.js";
+import { getHashIndex } from "./hashIndex.js";
+import { createRegionOverlay, createDiffImage } from "./regionService.js";
+import { runDetectors } from "./detectors/index.js";
+import { fuseFindings, resolveFusionProfile } from "./fusionService.js";
+import { createReferenceLibrary } from "./referenceLibrary.js";
+import { splitDocumentPages } from "./pageService.js";
+import {
+  normalizeDocument,
+  registerToReference,
+  mapRegionToOriginal,
+} from "./preprocessService.js";
+import { detectionConfig } from "../config/detection.js";
 
-const calculateImageHash = async (imagePath) => {
-  try {
-    // Read and resize image to 8x8
-    const imageBuffer = await sharp(imagePath)
-      .resize(8, 8)
-      .grayscale()
-      .raw()
-      .toBuffer();
-
-    // Calculate average pixel value
-    const pixels = new Uint8Array(imageBuffer);
-    const avg = pixels.reduce((a, b) => a + b, 0) / pixels.length;
-
-    // Create binary hash
-    const hash = pixels.map(p => p > avg ? '1' : '0').join('');
-    return hash;
-  } catch (error) {
-    console.error('Error calculating image hash:', error);
-    throw error;
-  }
-};
+export const compareImages = async (
+  uploadedImagePath,
+  genuineImagesDir,
+  options = {}
+) => {
+  // Stage names and completion (0-1) for callers tracking a long comparison
+  const reportProgress = options.onProgress || (() => {});
 
-const calculateSimilarity = (hash1, hash2) => {
-  let similar = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] === hash2[i]) similar++;
-  }
-  return (similar / hash1.length) * 100;
-};
-
-export const compareImages = async (uploadedImagePath, genuineImagesDir) => {
   try {
     console.log("Starting image comparison process");
 
-    // Force most files to be considered forged by default
-    // Assume forged unless we have strong evidence it's genuine
+    // A document that cannot be read, or checked against a missing library,
+    // is never passed as genuine; an empty library still runs the
+    // reference-free detectors below
     const defaultResult = {
       isForged: true,
       similarity: 0,
@@ -61,135 +51,241 @@ export const compareImages = async (uploadedImagePath, genuineImagesDir) => {
       return defaultResult;
     }
 
-    // Get list of genuine images
-    const genuineFiles = fs
-      .readdirSync(genuineImagesDir)
-      .filter((file) => /\.(jpg|jpeg|png|tif|tiff|bmp)$/i.test(file));
+    // Get the candidate references, narrowed by document type and font if
+    // requested, or down to the one reference the caller already knows
+    const candidateFilter = options.filter || {};
+    const candidates = createReferenceLibrary(genuineImagesDir)
+      .list(candidateFilter)
+      .filter(
+        (reference) =>
+          !options.referenceId || reference.filename === options.referenceId
+      );
+    const genuineFiles = candidates.map((reference) => reference.filename);
 
-    if (genuineFiles.length === 0) {
-      console.log("No genuine images found for comparison");
-      return defaultResult;
+    // Without candidates only the reference-free detectors can run
+    const referenceAvailable = genuineFiles.length > 0;
+    let referenceNote = null;
+    if (!referenceAvailable) {
+      referenceNote = options.referenceId
+        ? `Reference ${options.referenceId} is not in the library`
+        : Object.keys(candidateFilter).length > 0
+          ? "No genuine references match the requested document type and font"
+          : "No genuine references available";
+      console.log(`${referenceNote}; running reference-free detectors only`);
     }
 
-    // Check if the file is in a fraud directory - this is a strong indicator of forgery
-    if (
-      uploadedImagePath.includes("CopyPaste_Inter") ||
-      uploadedImagePath.includes("CopyPaste_Intra") ||
-      uploadedImagePath.includes("Imitation")
-    ) {
-      console.log("STRONG EVIDENCE: File is located in a fraud directory");
-      return {
-        isForged: true,
-        similarity: 0,
-        bestMatch: null,
-        details: {
-          reason:
-            "File is located in a directory known to contain forged documents",
-          message: "Document appears to be forged (directory evidence)",
-        },
-      };
+    // Find the closest reference in the precomputed hash index
+    const hashIndex = getHashIndex(genuineImagesDir);
+    if (referenceAvailable) {
+      await hashIndex.ensureBuilt();
+      if (genuineFiles.some((file) => !hashIndex.isCurrent(file))) {
+        // References were added or replaced outside this thread's index
+        await hashIndex.build();
+      }
     }
 
-    // Extract the uploaded file's base name for comparison
-    const uploadedBaseName = path
-      .basename(uploadedImagePath, path.extname(uploadedImagePath))
-      .toLowerCase();
-
-    // 1. EXACT MATCH CHECK: If exact filename match with a genuine file, consider it genuine
-    for (const genuineFile of genuineFiles) {
-      const genuineBaseName = path
-        .basename(genuineFile, path.extname(genuineFile))
-        .toLowerCase();
-
-      if (genuineBaseName === uploadedBaseName) {
-        console.log(`EXACT MATCH: Found exact filename match: ${genuineFile}`);
-        return {
-          isForged: false,
-          similarity: 100,
-          bestMatch: genuineFile,
-          details: {
-            reason: "Exact filename match with a genuine document",
-            message: "Document appears to be genuine (exact match)",
-          },
-        };
+    // Straighten, trim and normalize the upload before fingerprinting it
+    reportProgress("normalizing", 0.05);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "forgery-compare-"));
+    let findings;
+    let transform;
+    let bestMatchFile = null;
+    let diff = null;
+    try {
+      const normalizedUpload = await normalizeDocument(
+        uploadedImagePath,
+        detectionConfig.preprocessing
+      );
+      const uploadedFingerprint = await calculateFingerprint(
+        normalizedUpload.buffer,
+        detectionConfig.hashing
+      );
+      reportProgress("matching", 0.15);
+      const match = referenceAvailable
+        ? hashIndex.nearest(uploadedFingerprint, genuineFiles)
+        : null;
+      bestMatchFile = match ? match.filename : null;
+
+      // Register the upload onto the geometry of its best match
+      const alignedUploadPath = path.join(workDir, "upload.png");
+      let normalizedReferencePath = null;
+      let referenceTransform = null;
+      transform = normalizedUpload.transform;
+
+      if (bestMatchFile) {
+        reportProgress("registering", 0.2);
+        const normalizedReference = await normalizeDocument(
+          path.join(genuineImagesDir, bestMatchFile),
+          detectionConfig.preprocessing
+        );
+        const registered = await registerToReference(
+          normalizedUpload.buffer,
+          normalizedUpload.transform,
+          normalizedReference.buffer
+        );
+        transform = registered.transform;
+        referenceTransform = normalizedReference.transform;
+        normalizedReferencePath = path.join(workDir, "reference.png");
+        fs.writeFileSync(normalizedReferencePath, normalizedReference.buffer);
+        fs.writeFileSync(alignedUploadPath, registered.buffer);
+      } else {
+        fs.writeFileSync(alignedUploadPath, normalizedUpload.buffer);
       }
-    }
 
-    // 2. FRAUD KEYWORD CHECK: Check if filename contains fraud-related keywords
-    if (
-      uploadedBaseName.includes("fraud") ||
-      uploadedBaseName.includes("fake") ||
-      uploadedBaseName.includes("forg")
-    ) {
-      console.log("STRONG EVIDENCE: Filename contains fraud-related keywords");
-      return {
-        isForged: true,
-        similarity: 0,
-        bestMatch: null,
-        details: {
-          reason: "Filename contains fraud-related keywords",
-          message: "Document appears to be forged (keyword evidence)",
+      // Run every detector against the best match and fuse their findings
+      findings = await runDetectors(
+        {
+          uploadedImagePath: alignedUploadPath,
+          originalImagePath: uploadedImagePath,
+          // The file as uploaded, when the image is one page taken out of it
+          sourceFilePath: options.sourcePath || uploadedImagePath,
+          uploadedFingerprint,
+          referenceImagePath: normalizedReferencePath,
+          referenceName: bestMatchFile,
+          referenceFingerprint: match ? match.fingerprint : null,
+          referenceDir: genuineImagesDir,
+          transform,
+          // How the reference was normalized, to place its field zones
+          referenceTransform,
         },
-      };
+        detectionConfig.enabledDetectors,
+        (name, index, total) =>
+          reportProgress(`detector:${name}`, 0.25 + (0.65 * index) / total)
+      );
+
+      // Pixel diff of the pair, while the registered images still exist
+      if (options.diffDir && normalizedReferencePath) {
+        try {
+          diff = await createDiffImage(
+            alignedUploadPath,
+            normalizedReferencePath,
+            options.diffDir
+          );
+        } catch (error) {
+          // Like the overlay, the diff never fails the comparison
+          console.error("Error creating diff image:", error);
+        }
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
     }
+    reportProgress("fusing", 0.9);
+    // Thresholds and weights follow the document type: the one requested,
+    // otherwise the one of the best match
+    const bestMatchReference = candidates.find(
+      (reference) => reference.filename === bestMatchFile
+    );
+    const documentType =
+      candidateFilter.documentType ||
+      (bestMatchReference && bestMatchReference.documentType) ||
+      null;
+    const profile = resolveFusionProfile(detectionConfig.fusion, documentType);
+    const fusion = fuseFindings(findings, profile);
+    const { similarity, isForged, threshold } = fusion;
 
-    // Calculate hash for uploaded image
-    const uploadedHash = await calculateImageHash(uploadedImagePath);
-    
-    let bestMatchSimilarity = 0;
-    let bestMatchFile = null;
-    let bestMatchHash = null;
-
-    // Compare with each genuine image
-    for (const genuineFile of genuineFiles) {
-      const genuineFilePath = path.join(genuineImagesDir, genuineFile);
-      const genuineHash = await calculateImageHash(genuineFilePath);
-      const similarity = calculateSimilarity(uploadedHash, genuineHash);
-
-      if (similarity > bestMatchSimilarity) {
-        bestMatchSimilarity = similarity;
-        bestMatchFile = genuineFile;
-        bestMatchHash = genuineHash;
+    // Most detectors work on the registered image; report regions on the original
+    const regions = findings.flatMap((finding) =>
+      (finding.regions || []).map((region) => ({
+        ...(finding.coordinateSpace === "original"
+          ? region
+          : mapRegionToOriginal(region, transform)),
+        detector: finding.detector,
+      }))
+    );
+    // Per-character findings are also listed on their own
+    const characters = regions.filter((region) => region.kind === "character");
+    // And the verdict on every field zone of the best match
+    const fieldFinding = findings.find(
+      (finding) =>
+        finding.detector === "fieldZones" &&
+        !finding.skipped &&
+        finding.details &&
+        finding.details.fields
+    );
+    const fields = fieldFinding
+      ? fieldFinding.details.fields.map(({ x, y, width, height, ...field }) => ({
+          ...field,
+          ...mapRegionToOriginal({ x, y, width, height }, transform),
+        }))
+      : [];
+    // So are the file's metadata and what it gives away
+    const metadataFinding = findings.find(
+      (finding) => finding.detector === "metadata" && !finding.skipped
+    );
+    // Regions are reported once at the top level, not per detector
+    const detectors = fusion.contributions.map(
+      ({ regions: detectorRegions, ...contribution }) => contribution
+    );
+
+    // Draw the suspicious regions for reviewers
+    let overlay = null;
+    if (options.overlayDir && regions.length > 0) {
+      reportProgress("overlay", 0.95);
+      try {
+        overlay = await createRegionOverlay(
+          uploadedImagePath,
+          regions,
+          options.overlayDir
+        );
+      } catch (error) {
+        // The overlay is supplementary, so never let it fail the comparison
+        console.error("Error creating region overlay:", error);
       }
     }
 
-    // Calculate file size similarity
-    const uploadedFileSize = fs.statSync(uploadedImagePath).size;
-    const bestMatchFilePath = path.join(genuineImagesDir, bestMatchFile);
-    const bestMatchFileSize = fs.statSync(bestMatchFilePath).size;
-    const sizeSimilarity = (1 - Math.abs(uploadedFileSize - bestMatchFileSize) / Math.max(uploadedFileSize, bestMatchFileSize)) * 100;
-
-    // Combine hash similarity (70%) and size similarity (30%)
-    const finalSimilarity = (bestMatchSimilarity * 0.7) + (sizeSimilarity * 0.3);
-
-    // Determine if document is forged
-    const isForged = finalSimilarity < 80; // Consider forged if similarity is less than 80%
-
-    if (isForged) {
-      return {
-        isForged,
-        similarity: finalSimilarity,
-        bestMatch: bestMatchFile,
-        details: {
-          reason: `Similarity (${finalSimilarity.toFixed(1)}%) below threshold (80%)`,
-          message: "Document appears to be forged",
-          hashSimilarity: bestMatchSimilarity,
-          sizeSimilarity: sizeSimilarity
+    return {
+      isForged,
+      similarity,
+      bestMatch: bestMatchFile,
+      regions,
+      characters,
+      fields,
+      overlay,
+      // Clusters are drawn on the diff in the reference's geometry and also
+      // given on the original upload
+      ...(diff && {
+        diff: {
+          ...diff,
+          clusters: diff.clusters.map((cluster) => ({
+            ...cluster,
+            original: mapRegionToOriginal(
+              {
+                x: cluster.x,
+                y: cluster.y,
+                width: cluster.width,
+                height: cluster.height,
+              },
+              transform
+            ),
+          })),
         },
-      };
-    } else {
-      return {
-        isForged,
-        similarity: finalSimilarity,
-        bestMatch: bestMatchFile,
-        details: {
-          reason: `High similarity (${finalSimilarity.toFixed(1)}%) with genuine document`,
-          message: "Document appears to be genuine",
-          hashSimilarity: bestMatchSimilarity,
-          sizeSimilarity: sizeSimilarity
+      }),
+      details: {
+        reason: isForged
+          ? `Similarity (${similarity.toFixed(1)}%) below threshold (${threshold}%)`
+          : referenceAvailable
+          ? `High similarity (${similarity.toFixed(1)}%) with genuine document`
+          : `No sign of forgery (${similarity.toFixed(1)}%) from the reference-free detectors`,
+        message: isForged
+          ? "Document appears to be forged"
+          : "Document appears to be genuine",
+        threshold,
+        fusionStrategy: fusion.strategy,
+        profile: {
+          name: profile.name,
+          documentType,
+          threshold: profile.threshold,
+          strategy: profile.strategy,
         },
-      };
-    }
+        candidateFilter,
+        candidateCount: genuineFiles.length,
+        referenceAvailable,
+        ...(referenceNote && { referenceNote }),
+        ...(metadataFinding && { metadata: metadataFinding.details }),
+        transform,
+        detectors,
+      },
+    };
   } catch (error) {
     console.error("Error in image comparison:", error);
     return {
@@ -198,8 +294,72 @@ export const compareImages = async (uploadedImagePath, genuineImagesDir) => {
       bestMatch: null,
       details: {
         reason: `Error during comparison: ${error.message}`,
-        message: "Document considered forged due to processing error"
+        message: "Document considered forged due to processing error",
+        error: error.message,
       }
     };
   }
 };
+
+/**
+ * Verifies every page of an uploaded document (multi-page TIFF or scanned
+ * PDF) against the reference library on its own. The document is forged as
+ * soon as one of its pages is, and only as similar as its weakest page.
+ * @param {string} uploadedFilePath Path to the uploaded document
+ * @param {string} genuineImagesDir Directory of the genuine references
+ * @param {Object} options Options passed on to compareImages for every page;
+ *   `onProgress(stage, progress)` is told about the whole document
+ * @returns {Promise<Object>} Document verdict, weakest page (the least similar
+ *   forged page when there is one) and per-page results
+ */
+export const compareDocument = async (
+  uploadedFilePath,
+  genuineImagesDir,
+  options = {}
+) => {
+  const reportProgress = options.onProgress || (() => {});
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "forgery-pages-"));
+  try {
+    reportProgress("splitting", 0);
+    const pages = await splitDocumentPages(uploadedFilePath, workDir);
+    console.log(`Document has ${pages.length} page(s)`);
+
+    const results = [];
+    for (const [index, page] of pages.entries()) {
+      console.log(`Verifying page ${page.page} of ${pages.length}`);
+      const result = await compareImages(page.path, genuineImagesDir, {
+        ...options,
+        sourcePath: uploadedFilePath,
+        // Stages are prefixed with the page once there is more than one
+        onProgress: (stage, progress) =>
+          reportProgress(
+            pages.length > 1
+              ? `page ${page.page}/${pages.length}: ${stage}`
+              : stage,
+            (index + progress) / pages.length
+          ),
+      });
+      results.push({ page: page.page, ...result });
+    }
+
+    const leastSimilar = (candidates) =>
+      candidates.reduce((weakest, result) =>
+        result.similarity < weakest.similarity ? result : weakest
+      );
+    // Profiles can give pages different thresholds, so the least similar
+    // page is not necessarily a forged one; the verdict comes from those
+    const forgedPages = results.filter((result) => result.isForged);
+    const weakestPage = leastSimilar(
+      forgedPages.length > 0 ? forgedPages : results
+    );
+    return {
+      isForged: forgedPages.length > 0,
+      similarity: leastSimilar(results).similarity,
+      pageCount: results.length,
+      weakestPage,
+      pages: results,
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const queueError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Creates an in-memory job queue. Jobs run in the background, at most
+ * `concurrency` at a time, and report their progress to subscribers; finished
+ * jobs are kept for `retentionMs` so their result can still be fetched. At
+ * most `maxPending` jobs may wait for a slot; more are refused (503).
+ * @param {Object} options
+ * @param {number} options.concurrency Jobs run side by side
+ * @param {number} [options.maxPending] Jobs that may wait to run
+ * @param {number} options.retentionMs How long finished jobs are kept
+ * @returns {Object} Queue with create, get, subscribe and pendingCount
+ */
+export const createJobQueue = ({
+  concurrency = 1,
+  maxPending = Infinity,
+  retentionMs = 3600000,
+} = {}) => {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  const pending = [];
+  let running = 0;
+
+  // Every SSE client subscribes, so don't warn about many listeners
+  events.setMaxListeners(0);
+
+  /**
+   * Public view of a job, without its task
+   */
+  const snapshot = ({ task, ...job }) => job;
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, snapshot(job));
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      update(job, { status: "running", stage: "started" });
+
+      const reportProgress = (stage, progress) =>
+        update(job, {
+          stage,
+          ...(progress !== undefined && { progress }),
+        });
+
+      job
+        .task(reportProgress)
+        .then((result) =>
+          update(job, { status: "completed", stage: "done", progress: 1, result })
+        )
+        .catch((error) => {
+          console.error(`Job ${job.id} failed:`, error);
+          update(job, {
+            status: "failed",
+            stage: "failed",
+            error: { message: error.message, status: error.status || 500 },
+          });
+        })
+        .finally(() => {
+          running--;
+          delete job.task;
+          const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+          // Retention alone should not keep the process alive
+          timer.unref();
+          runNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queues a task
+     * @param {Function} task Async function receiving a reportProgress(stage, progress) callback
+     * @returns {Object} The queued job; throws a 503 error when too many wait
+     */
+    create: (task) => {
+      if (pending.length >= maxPending) {
+        throw queueError(
+          `${pending.length} jobs are already waiting, please retry later`,
+          503
+        );
+      }
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        stage: "queued",
+        progress: 0,
+        createdAt: now,
+        updatedAt: now,
+        result: null,
+        error: null,
+        task,
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      // Start on the next tick so the caller can answer before the job runs
+      setImmediate(runNext);
+      return snapshot(job);
+    },
+
+    /**
+     * @param {string} id Job ID
+     * @returns {Object|null} The job, or null when unknown or expired
+     */
+    get: (id) => (jobs.has(id) ? snapshot(jobs.get(id)) : null),
+
+    /**
+     * Calls the listener with the job every time it changes
+     * @param {string} id Job ID
+     * @param {Function} listener Receives the updated job
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe: (id, listener) => {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    /**
+     * @returns {number} Jobs waiting for a slot
+     */
+    pendingCount: () => pending.length,
+  };
+};
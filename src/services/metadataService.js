@@ -0,0 +1,307 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+// Signatures at the start of the file identifying its real format
+const MAGIC_NUMBERS = [
+  { format: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { format: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: "tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { format: "tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { format: "gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: "bmp", bytes: [0x42, 0x4d] },
+  { format: "pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+];
+
+const EXTENSION_FORMATS = {
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".jpe": "jpeg",
+  ".png": "png",
+  ".tif": "tiff",
+  ".tiff": "tiff",
+  ".gif": "gif",
+  ".webp": "webp",
+  ".bmp": "bmp",
+  ".pdf": "pdf",
+};
+
+// TIFF/EXIF tags worth reporting, by tag number
+const TIFF_TAGS = {
+  0x010e: "ImageDescription",
+  0x010f: "Make",
+  0x0110: "Model",
+  0x0131: "Software",
+  0x0132: "DateTime",
+  0x013b: "Artist",
+  0x013c: "HostComputer",
+  0x9003: "DateTimeOriginal",
+  0x9004: "DateTimeDigitized",
+};
+const EXIF_IFD_POINTER = 0x8769;
+const ASCII_TYPE = 2;
+
+// Image editors whose name in a Software or CreatorTool tag means the image
+// was opened and saved again after it was produced
+const EDITOR_PATTERN =
+  /photoshop|gimp|paint\.net|paintshop|affinity|pixelmator|corel|krita|illustrator|inkscape|canva|snapseed|lightroom|picsart|fotor|photopea|acorn/i;
+
+// Modification this long after creation is not just the time taken to save
+const MAX_SAVE_DELAY_MS = 60 * 1000;
+
+// ICC colour spaces and the sharp colour spaces they are expected with
+const ICC_SPACES = {
+  "RGB ": ["srgb", "rgb", "rgb16", "scrgb"],
+  GRAY: ["b-w", "grey16"],
+  CMYK: ["cmyk"],
+};
+
+/**
+ * Identifies a file's real format from its first bytes
+ * @param {Buffer} buffer File contents
+ * @returns {string|null} Format name, or null when unrecognized
+ */
+export const detectFileFormat = (buffer) => {
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  const match = MAGIC_NUMBERS.find(({ bytes }) =>
+    bytes.every((byte, i) => buffer[i] === byte)
+  );
+  return match ? match.format : null;
+};
+
+/**
+ * Reads the text tags of a TIFF structure, which is how both TIFF files and
+ * EXIF blocks store their metadata, following the pointer to the EXIF IFD
+ * @param {Buffer} buffer Buffer starting with a TIFF header
+ * @returns {Object} Tag values by name
+ */
+export const parseTiffTags = (buffer) => {
+  const tags = {};
+  if (buffer.length < 8) return tags;
+
+  const littleEndian = buffer.toString("ascii", 0, 2) === "II";
+  const read16 = (offset) =>
+    littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = (offset) =>
+    littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const visited = new Set();
+  const readIfd = (offset) => {
+    if (visited.has(offset) || offset + 2 > buffer.length) return;
+    visited.add(offset);
+
+    const count = read16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > buffer.length) return;
+      const tag = read16(entry);
+      const type = read16(entry + 2);
+      const length = read32(entry + 4);
+
+      if (tag === EXIF_IFD_POINTER) {
+        readIfd(read32(entry + 8));
+      } else if (TIFF_TAGS[tag] && type === ASCII_TYPE) {
+        // Values longer than 4 bytes live at the offset the entry points to
+        const start = length > 4 ? read32(entry + 8) : entry + 8;
+        if (start + length > buffer.length) continue;
+        const value = buffer
+          .toString("latin1", start, start + length)
+          .replace(/\0+$/, "")
+          .trim();
+        if (value) tags[TIFF_TAGS[tag]] = value;
+      }
+    }
+  };
+
+  readIfd(read32(4));
+  return tags;
+};
+
+/**
+ * Pulls the editing-related properties out of an XMP packet
+ * @param {string} xmp XMP packet
+ * @returns {Object} CreatorTool, dates and the software agents of the edit history
+ */
+const parseXmp = (xmp) => {
+  const property = (name) => {
+    const match =
+      xmp.match(new RegExp(`${name}="([^"]*)"`)) ||
+      xmp.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+    return match ? match[1].trim() : undefined;
+  };
+  const historyAgents = [
+    ...xmp.matchAll(/stEvt:softwareAgent(?:="([^"]*)"|>([^<]*)<)/g),
+  ].map((match) => (match[1] || match[2]).trim());
+
+  return Object.fromEntries(
+    Object.entries({
+      CreatorTool: property("xmp:CreatorTool"),
+      CreateDate: property("xmp:CreateDate"),
+      ModifyDate: property("xmp:ModifyDate"),
+      MetadataDate: property("xmp:MetadataDate"),
+      HistorySoftware: historyAgents.length
+        ? [...new Set(historyAgents)]
+        : undefined,
+    }).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Reads the colour space and description from an ICC profile header
+ * @param {Buffer} icc ICC profile
+ * @returns {Object} { colorSpace, description }
+ */
+const parseIcc = (icc) => {
+  const profile = { colorSpace: icc.toString("ascii", 16, 20) };
+
+  const tagCount = icc.length >= 132 ? icc.readUInt32BE(128) : 0;
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > icc.length) break;
+    if (icc.toString("ascii", entry, entry + 4) !== "desc") continue;
+
+    const offset = icc.readUInt32BE(entry + 4);
+    if (offset + 28 > icc.length) break;
+    const type = icc.toString("ascii", offset, offset + 4);
+    if (type === "desc") {
+      const length = icc.readUInt32BE(offset + 8);
+      profile.description = icc
+        .toString("ascii", offset + 12, offset + 12 + length)
+        .replace(/\0+$/, "");
+    } else if (type === "mluc" && icc.readUInt32BE(offset + 8) > 0) {
+      // First localized record: big-endian UTF-16
+      const length = icc.readUInt32BE(offset + 20);
+      const start = offset + icc.readUInt32BE(offset + 24);
+      profile.description = Buffer.from(icc.subarray(start, start + length))
+        .swap16()
+        .toString("utf16le");
+    }
+  }
+
+  return profile;
+};
+
+/**
+ * JPEG EXIF blocks start with an "Exif" identifier before the TIFF header;
+ * PNG eXIf chunks start directly with the TIFF header
+ * @param {Buffer} exif EXIF block
+ * @returns {Buffer} Buffer starting at the TIFF header
+ */
+const stripExifHeader = (exif) =>
+  exif.toString("ascii", 0, 4) === "Exif" ? exif.subarray(6) : exif;
+
+/**
+ * Parses the EXIF and XMP date formats ("2024:01:31 10:00:00", ISO 8601)
+ * @param {string} value Date string
+ * @returns {Date|null} Parsed date, or null when unreadable
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const normalized = value.replace(/^(\d{4}):(\d{2}):(\d{2})/, "$1-$2-$3");
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Extracts the metadata of an uploaded file (EXIF, XMP, ICC, TIFF tags and
+ * PNG text chunks) and checks it for signs of editing: an image editor named
+ * as the producing software, a modification date after the creation date, a
+ * colour profile that doesn't match the image, or a real format that doesn't
+ * match the file extension.
+ * @param {string} filePath Path to the file as uploaded, with its original extension
+ * @returns {Promise<Object>} Format, extracted tags, ICC profile and findings
+ */
+export const analyzeMetadata = async (filePath) => {
+  const buffer = fs.readFileSync(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+  const format = detectFileFormat(buffer);
+  const findings = [];
+
+  const expectedFormat = EXTENSION_FORMATS[extension];
+  if (!format) {
+    findings.push({
+      check: "format",
+      severity: "medium",
+      message: "File content does not match any supported image format",
+    });
+  } else if (expectedFormat && expectedFormat !== format) {
+    findings.push({
+      check: "format",
+      severity: "high",
+      message: `File is a ${format.toUpperCase()} image saved with a ${extension} extension`,
+    });
+  }
+
+  let imageMetadata = {};
+  try {
+    imageMetadata = await sharp(buffer).metadata();
+  } catch (error) {
+    console.error("Error reading image metadata:", error.message);
+  }
+
+  // TIFF files carry their tags in the file itself; other formats in an EXIF block
+  const tags = {
+    ...(format === "tiff" ? parseTiffTags(buffer) : {}),
+    ...(imageMetadata.exif ? parseTiffTags(stripExifHeader(imageMetadata.exif)) : {}),
+    ...(imageMetadata.xmp ? parseXmp(imageMetadata.xmp.toString("utf8")) : {}),
+  };
+  for (const { keyword, text } of imageMetadata.comments || []) {
+    tags[keyword.replace(/\s+/g, "")] = text;
+  }
+
+  const software = [
+    tags.Software,
+    tags.CreatorTool,
+    ...(tags.HistorySoftware || []),
+  ].filter(Boolean);
+  const editor = software.find((name) => EDITOR_PATTERN.test(name));
+  if (editor) {
+    findings.push({
+      check: "software",
+      severity: "high",
+      message: `File was saved by an image editor: ${editor}`,
+    });
+  }
+
+  const created = parseDate(
+    tags.DateTimeOriginal ||
+      tags.CreateDate ||
+      tags.DateTimeDigitized ||
+      tags.CreationTime
+  );
+  const modified = parseDate(tags.ModifyDate || tags.DateTime);
+  if (created && modified && modified - created > MAX_SAVE_DELAY_MS) {
+    findings.push({
+      check: "dates",
+      severity: "medium",
+      message: `File was modified (${modified.toISOString()}) after it was created (${created.toISOString()})`,
+    });
+  }
+
+  let icc = null;
+  if (imageMetadata.icc) {
+    icc = parseIcc(imageMetadata.icc);
+    const expectedSpaces = ICC_SPACES[icc.colorSpace];
+    if (expectedSpaces && !expectedSpaces.includes(imageMetadata.space)) {
+      findings.push({
+        check: "colorProfile",
+        severity: "low",
+        message: `${icc.colorSpace.trim()} colour profile embedded in a ${imageMetadata.space} image`,
+      });
+    }
+  }
+
+  return {
+    format,
+    extension,
+    tags,
+    icc,
+    findings,
+  };
+};
@@ -0,0 +1,243 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import sharp from "sharp";
+import { detectFileFormat } from "./metadataService.js";
+import { serverConfig } from "../config/server.js";
+
+// Embedded images smaller than this (logos, stamps) are not page scans
+const MIN_PAGE_IMAGE_SIZE = 500;
+// Channels of the PDF colour spaces whose raw pixels can be decoded
+const PDF_COLOR_SPACES = { DeviceGray: 1, DeviceRGB: 3, DeviceCMYK: 4 };
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const pageError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Reads a numeric entry of a PDF dictionary, following an indirect reference
+ * (`/Width 12 0 R`) to the object holding the number
+ * @param {string} text The whole PDF, as text
+ * @param {string} dictionary The object's dictionary, as text
+ * @param {string} name Entry name, e.g. "Width"
+ * @returns {number} The value, NaN when absent or unresolvable
+ */
+const pdfNumber = (text, dictionary, name) => {
+  const match = dictionary.match(
+    new RegExp(`/${name}\\s+(\\d+)(?:\\s+(\\d+)\\s+R\\b)?`)
+  );
+  if (!match) return NaN;
+  if (match[2] === undefined) return Number(match[1]);
+
+  const target = text.match(
+    new RegExp(`(?:^|\\s)${match[1]}\\s+${match[2]}\\s+obj\\s*(\\d+)\\s*endobj`)
+  );
+  return target ? Number(target[1]) : NaN;
+};
+
+/**
+ * Decodes one image XObject of a PDF into something sharp can read. The
+ * dictionary's dimensions are only trusted to inflate raw pixels; encoded
+ * images are measured from their own header.
+ * @param {string} dictionary The object's dictionary, as text
+ * @param {Buffer} data The object's (still encoded) stream
+ * @param {Object} size { width, height } resolved from the dictionary
+ * @param {number} pixelBudget Pixels the document may still use
+ * @returns {Promise<Object|null>} { image: PNG or JPEG bytes, pixels }, or
+ *   null when unsupported
+ */
+const decodePdfImage = async (dictionary, data, size, pixelBudget) => {
+  const ensureWithinBudget = (width, height) => {
+    if (width * height > pixelBudget) {
+      throw pageError(
+        `PDF page images exceed the ${Math.round(
+          serverConfig.uploads.maxPixels / 1e6
+        )} megapixel limit of a document (page image is ${width}x${height})`,
+        413
+      );
+    }
+  };
+  const { width, height } = size;
+  ensureWithinBudget(width, height);
+
+  const filter = (dictionary.match(/\/Filter\s*\[?\s*\/(\w+)/) || [])[1];
+  if (filter === "DCTDecode") {
+    // The JPEG's own header decides how much decoding it will take
+    const metadata = await sharp(data, { limitInputPixels: false }).metadata();
+    if (metadata.format !== "jpeg") return null;
+    ensureWithinBudget(metadata.width, metadata.height);
+    return { image: data, pixels: metadata.width * metadata.height };
+  }
+  if (filter !== "FlateDecode") return null;
+
+  const bits = Number(
+    (dictionary.match(/\/BitsPerComponent\s+(\d+)/) || [])[1]
+  );
+  const colorSpace = (dictionary.match(/\/ColorSpace\s*\/(\w+)/) || [])[1];
+  const channels = PDF_COLOR_SPACES[colorSpace];
+  // PNG predictors prefix each row with a filter byte we do not undo
+  if (!channels || /\/Predictor\s+1\d/.test(dictionary)) return null;
+  if (bits !== 8 && !(bits === 1 && channels === 1)) return null;
+
+  // Never inflate past what the declared dimensions need (decompression bombs)
+  const inflated = zlib.inflateSync(data, {
+    maxOutputLength: Math.ceil((width * bits) / 8) * channels * height,
+  });
+  let pixels = inflated;
+  if (bits === 1) {
+    // Bilevel scans: one bit per pixel, rows padded to whole bytes
+    const rowBytes = Math.ceil(width / 8);
+    pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (inflated[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        pixels[y * width + x] = bit ? 255 : 0;
+      }
+    }
+  }
+  if (pixels.length < width * height * channels) return null;
+
+  const image = await sharp(pixels.subarray(0, width * height * channels), {
+    raw: { width, height, channels },
+  })
+    .png()
+    .toBuffer();
+  return { image, pixels: width * height };
+};
+
+/**
+ * Extracts the page scans of a PDF. PDFs are not rendered: scanned documents
+ * hold one full-page image per page, which is what gets verified. Born-digital
+ * PDFs (vector text) have no such images and cannot be verified as images.
+ * @param {Buffer} buffer PDF file contents
+ * @returns {Promise<Array<Buffer>>} One image per page, in document order
+ */
+const extractPdfPages = async (buffer) => {
+  const text = buffer.toString("latin1");
+  const pages = [];
+  let unsupported = 0;
+  // Pixels of every page count towards the same limit as a multi-page TIFF
+  let pixelBudget = serverConfig.uploads.maxPixels;
+
+  const objectPattern = /\d+\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = objectPattern.exec(text))) {
+    const streamStart = text.indexOf("stream", match.index);
+    const objectEnd = text.indexOf("endobj", match.index);
+    if (streamStart === -1 || (objectEnd !== -1 && objectEnd < streamStart)) {
+      continue;
+    }
+    const dictionary = text.slice(match.index, streamStart);
+    if (!/\/Subtype\s*\/Image/.test(dictionary)) continue;
+
+    const dataStart =
+      streamStart + (text.startsWith("stream\r\n", streamStart) ? 8 : 7);
+    const dataEnd = text.indexOf("endstream", dataStart);
+    if (dataEnd === -1) continue;
+    objectPattern.lastIndex = dataEnd;
+
+    const width = pdfNumber(text, dictionary, "Width");
+    const height = pdfNumber(text, dictionary, "Height");
+    if (!(width > 0 && height > 0)) {
+      unsupported++;
+      continue;
+    }
+    if (width < MIN_PAGE_IMAGE_SIZE || height < MIN_PAGE_IMAGE_SIZE) continue;
+
+    // Trailing end-of-line before "endstream" is not part of the data
+    let end = dataEnd;
+    while (end > dataStart && (text[end - 1] === "\n" || text[end - 1] === "\r")) {
+      end--;
+    }
+
+    try {
+      const decoded = await decodePdfImage(
+        dictionary,
+        buffer.subarray(dataStart, end),
+        { width, height },
+        pixelBudget
+      );
+      if (decoded) {
+        pages.push(decoded.image);
+        pixelBudget -= decoded.pixels;
+      } else {
+        unsupported++;
+      }
+    } catch (error) {
+      // Oversized pages reject the whole document
+      if (error.status) throw error;
+      console.error("Error decoding PDF page image:", error.message);
+      unsupported++;
+    }
+  }
+
+  if (pages.length === 0) {
+    const error = pageError(
+      unsupported > 0
+        ? "The PDF's page images use an unsupported encoding; export its pages " +
+            "as PNG or TIFF images and upload those"
+        : "The PDF has no page scans: PDFs with vector text (born-digital, " +
+            "e.g. exported from payroll software) are not rendered. Upload a " +
+            "scanned PDF, or export its pages as PNG or TIFF images",
+      415
+    );
+    // Lets clients tell this apart from a damaged file
+    error.check = unsupported > 0 ? "pdf-encoding" : "pdf-vector";
+    throw error;
+  }
+  return pages;
+};
+
+/**
+ * Splits an uploaded document into one image per page: every page of a
+ * multi-page TIFF and every page scan of a PDF. Single-page images are
+ * returned as they are.
+ * @param {string} filePath Path to the uploaded document
+ * @param {string} outputDir Directory to write the page images into
+ * @returns {Promise<Array<Object>>} Pages, each { page, path } with 1-based numbers
+ */
+export const splitDocumentPages = async (filePath, outputDir) => {
+  const buffer = fs.readFileSync(filePath);
+  const format = detectFileFormat(buffer);
+  const baseName = path.basename(filePath, path.extname(filePath));
+
+  let images;
+  if (format === "pdf") {
+    images = await extractPdfPages(buffer);
+  } else if (format === "tiff") {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    if (pages <= 1) return [{ page: 1, path: filePath }];
+    images = [];
+    for (let page = 0; page < pages; page++) {
+      images.push(
+        await sharp(buffer, {
+          page,
+          limitInputPixels: serverConfig.uploads.maxPixels,
+        })
+          .png()
+          .toBuffer()
+      );
+    }
+  } else {
+    return [{ page: 1, path: filePath }];
+  }
+
+  return images.map((image, index) => {
+    // PDF page scans may be JPEG; keep the extension true to the content
+    const extension = detectFileFormat(image) === "jpeg" ? ".jpg" : ".png";
+    const pagePath = path.join(
+      outputDir,
+      `${baseName}-page${index + 1}${extension}`
+    );
+    fs.writeFileSync(pagePath, image);
+    return { page: index + 1, path: pagePath };
+  });
+};
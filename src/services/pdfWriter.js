@@ -0,0 +1,191 @@
+// A4 portrait, in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+// Standard 14 fonts need no embedding
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold" };
+// PDF colour spaces of JPEG images, by channel count
+const IMAGE_COLOR_SPACES = { 1: "DeviceGray", 3: "DeviceRGB", 4: "DeviceCMYK" };
+
+/**
+ * Escapes text for a PDF string literal. The fonts use WinAnsiEncoding, so
+ * characters outside Latin-1 are replaced.
+ * @param {string} text Text to draw
+ * @returns {string} Escaped string, without the surrounding parentheses
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (character) => `\\${character}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Formats an RGB colour given as 0-255 components for a PDF operator
+ */
+const formatColor = ([red, green, blue]) =>
+  [red, green, blue].map((component) => formatNumber(component / 255)).join(" ");
+
+/**
+ * Creates a minimal PDF document: text in the standard Helvetica fonts,
+ * rectangles and JPEG images, on A4 pages. Coordinates are in points from the
+ * top-left corner of the page, like the images they are laid out around.
+ * @returns {Object} Document with addPage, drawText, drawRect, drawImage and toBuffer
+ */
+export const createPdfDocument = () => {
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  const addPage = () => {
+    current = { operations: [], images: new Set() };
+    pages.push(current);
+    return current;
+  };
+
+  const requirePage = () => current || addPage();
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage: () => {
+      addPage();
+    },
+
+    /**
+     * Draws one line of text; y is the baseline
+     * @param {string} text Text to draw
+     * @param {number} x Left edge
+     * @param {number} y Baseline, from the top of the page
+     * @param {Object} [style] { size, bold, color: [r, g, b] }
+     */
+    drawText: (text, x, y, { size = 10, bold = false, color = [0, 0, 0] } = {}) => {
+      requirePage().operations.push(
+        `BT ${formatColor(color)} rg /${bold ? "F2" : "F1"} ${size} Tf ` +
+          `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td ` +
+          `(${escapeText(text)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draws a rectangle, filled and/or stroked
+     * @param {Object} [style] { fill: [r, g, b], stroke: [r, g, b], lineWidth }
+     */
+    drawRect: (x, y, width, height, { fill, stroke, lineWidth = 1 } = {}) => {
+      const operator = fill && stroke ? "B" : fill ? "f" : "S";
+      requirePage().operations.push(
+        [
+          "q",
+          fill && `${formatColor(fill)} rg`,
+          stroke && `${formatColor(stroke)} RG ${formatNumber(lineWidth)} w`,
+          `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ` +
+            `${formatNumber(width)} ${formatNumber(height)} re ${operator}`,
+          "Q",
+        ]
+          .filter(Boolean)
+          .join(" ")
+      );
+    },
+
+    /**
+     * Draws a JPEG image scaled to the given box
+     * @param {Object} image { data: JPEG buffer, width, height, channels }
+     */
+    drawImage: (image, x, y, width, height) => {
+      let index = images.indexOf(image);
+      if (index === -1) {
+        images.push(image);
+        index = images.length - 1;
+      }
+      const page = requirePage();
+      page.images.add(index);
+      page.operations.push(
+        `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ` +
+          `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} cm ` +
+          `/Im${index} Do Q`
+      );
+    },
+
+    /**
+     * Serializes the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer: () => {
+      requirePage();
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "latin1");
+        chunks.push(buffer);
+        length += buffer.length;
+      };
+      const writeObject = (number, body, stream) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n${body}\n`);
+        if (stream) {
+          write("stream\n");
+          write(stream);
+          write("\nendstream\n");
+        }
+        write("endobj\n");
+      };
+
+      // 1: catalog, 2: page tree, 3-4: fonts, then images, then pages with their contents
+      const firstImage = 5;
+      const firstPage = firstImage + images.length;
+      const pageNumbers = pages.map((page, index) => firstPage + index * 2);
+
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      writeObject(
+        2,
+        `<< /Type /Pages /Kids [${pageNumbers.map((n) => `${n} 0 R`).join(" ")}] ` +
+          `/Count ${pages.length} >>`
+      );
+      writeObject(
+        3,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`
+      );
+      writeObject(
+        4,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`
+      );
+      images.forEach((image, index) => {
+        writeObject(
+          firstImage + index,
+          `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /${IMAGE_COLOR_SPACES[image.channels] || "DeviceRGB"} ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`,
+          image.data
+        );
+      });
+      pages.forEach((page, index) => {
+        const pageNumber = pageNumbers[index];
+        const imageResources = [...page.images]
+          .map((image) => `/Im${image} ${firstImage + image} 0 R`)
+          .join(" ");
+        writeObject(
+          pageNumber,
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> ` +
+            `/XObject << ${imageResources} >> >> /Contents ${pageNumber + 1} 0 R >>`
+        );
+        const content = Buffer.from(page.operations.join("\n"), "latin1");
+        writeObject(pageNumber + 1, `<< /Length ${content.length} >>`, content);
+      });
+
+      const objectCount = firstPage + pages.length * 2;
+      const xrefOffset = length;
+      write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+      for (let number = 1; number < objectCount; number++) {
+        write(`${String(offsets[number]).padStart(10, "0")} 00000 n \n`);
+      }
+      write(
+        `trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+      );
+
+      return Buffer.concat(chunks);
+    },
+  };
+};
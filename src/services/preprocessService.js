@@ -0,0 +1,323 @@
+import sharp from "sharp";
+
+// Width the page is downsampled to when estimating its skew
+const SKEW_SAMPLE_WIDTH = 600;
+// Grey level below which a pixel counts as ink
+const INK_THRESHOLD = 128;
+
+/**
+ * Finds the bounding box of the ink on a page. Rows and columns need a minimum
+ * share of ink pixels, so specks and scanner noise in the margins are ignored.
+ * @param {Buffer} pixels Raw grayscale pixels
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @param {number} minInkRatio Share of a row or column that must be ink
+ * @returns {Object} { left, top, width, height }, the full image when it is blank
+ */
+const findContentBox = (pixels, width, height, minInkRatio) => {
+  const rowInk = new Uint32Array(height);
+  const columnInk = new Uint32Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < INK_THRESHOLD) {
+        rowInk[y]++;
+        columnInk[x]++;
+      }
+    }
+  }
+
+  const first = (counts, minInk) =>
+    counts.findIndex((count) => count >= minInk);
+  const last = (counts, minInk) => {
+    for (let i = counts.length - 1; i >= 0; i--) {
+      if (counts[i] >= minInk) return i;
+    }
+    return -1;
+  };
+
+  const minRowInk = Math.max(1, Math.ceil(width * minInkRatio));
+  const minColumnInk = Math.max(1, Math.ceil(height * minInkRatio));
+  const top = first(rowInk, minRowInk);
+  const left = first(columnInk, minColumnInk);
+  if (top === -1 || left === -1) {
+    return { left: 0, top: 0, width, height };
+  }
+
+  return {
+    left,
+    top,
+    width: last(columnInk, minColumnInk) - left + 1,
+    height: last(rowInk, minRowInk) - top + 1,
+  };
+};
+
+/**
+ * Estimates the rotation that straightens the text lines of a page, by finding
+ * the angle whose row profile of ink pixels is the most peaked
+ * @param {string|Buffer} input Image path or buffer
+ * @param {Object} options
+ * @param {number} options.maxSkewAngle Largest correction tried, in degrees
+ * @param {number} options.skewStep Angle increment, in degrees
+ * @returns {Promise<number>} Clockwise rotation to apply, in degrees
+ */
+export const estimateSkew = async (input, { maxSkewAngle, skewStep }) => {
+  const { data, info } = await sharp(input)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .resize({ width: SKEW_SAMPLE_WIDTH })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < INK_THRESHOLD) {
+        xs.push(x - info.width / 2);
+        ys.push(y - info.height / 2);
+      }
+    }
+  }
+  if (xs.length === 0) return 0;
+
+  const diagonal = Math.ceil(Math.hypot(info.width, info.height));
+  const profile = new Float64Array(diagonal + 1);
+  let bestAngle = 0;
+  let bestScore = -Infinity;
+
+  for (let angle = -maxSkewAngle; angle <= maxSkewAngle + 1e-9; angle += skewStep) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    profile.fill(0);
+
+    // Row each ink pixel lands on after a clockwise rotation by `angle`
+    for (let i = 0; i < xs.length; i++) {
+      const row = Math.round(xs[i] * sin + ys[i] * cos + diagonal / 2);
+      if (row >= 0 && row <= diagonal) profile[row]++;
+    }
+
+    let score = 0;
+    for (let i = 0; i < profile.length; i++) score += profile[i] * profile[i];
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return Number(bestAngle.toFixed(2));
+};
+
+/**
+ * Straightens, trims and contrast-normalizes a document
+ * @param {string|Buffer} input Image path or buffer
+ * @param {Object} options Preprocessing settings from detectionConfig.preprocessing
+ * @returns {Promise<Object>} { buffer (PNG), transform } where transform describes
+ * how the normalized image relates to the original
+ */
+export const normalizeDocument = async (input, options) => {
+  const metadata = await sharp(input).metadata();
+  const transform = {
+    originalWidth: metadata.width,
+    originalHeight: metadata.height,
+    rotation: 0,
+    rotatedWidth: metadata.width,
+    rotatedHeight: metadata.height,
+    trim: { left: 0, top: 0, width: metadata.width, height: metadata.height },
+  };
+
+  if (!options.enabled) {
+    const buffer = await sharp(input)
+      .flatten({ background: "#ffffff" })
+      .png({ compressionLevel: 1 })
+      .toBuffer();
+    return { buffer, transform };
+  }
+
+  let page = await sharp(input)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const rotation = await estimateSkew(input, options);
+  if (Math.abs(rotation) >= options.skewStep) {
+    page = await sharp(page.data, { raw: page.info })
+      .rotate(rotation, { background: "#ffffff" })
+      // The background colour brings the channels back, so reduce to gray again
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    transform.rotation = rotation;
+    transform.rotatedWidth = page.info.width;
+    transform.rotatedHeight = page.info.height;
+  }
+
+  // Remove the blank margins around the content
+  transform.trim = findContentBox(
+    page.data,
+    page.info.width,
+    page.info.height,
+    options.minInkRatio
+  );
+
+  const buffer = await sharp(page.data, { raw: page.info })
+    .extract(transform.trim)
+    .normalise()
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+
+  return { buffer, transform };
+};
+
+/**
+ * Resamples a normalized upload onto the geometry of a normalized reference
+ * @param {Buffer} uploadBuffer Normalized upload
+ * @param {Object} uploadTransform Transform returned with the upload
+ * @param {Buffer} referenceBuffer Normalized reference
+ * @returns {Promise<Object>} { buffer, transform } with the scale factors added
+ */
+export const registerToReference = async (
+  uploadBuffer,
+  uploadTransform,
+  referenceBuffer
+) => {
+  const { width, height } = await sharp(referenceBuffer).metadata();
+  const buffer = await sharp(uploadBuffer)
+    .resize(width, height, { fit: "fill" })
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+
+  return {
+    buffer,
+    transform: {
+      ...uploadTransform,
+      registeredWidth: width,
+      registeredHeight: height,
+      scaleX: uploadTransform.trim.width / width,
+      scaleY: uploadTransform.trim.height / height,
+    },
+  };
+};
+
+/**
+ * Maps a box from registered coordinates back onto the original upload
+ * @param {Object} region Box with x, y, width and height in registered coordinates
+ * @param {Object} transform Transform returned by registerToReference
+ * @returns {Object} The region in original-image coordinates
+ */
+export const mapRegionToOriginal = (region, transform) => {
+  const {
+    scaleX = 1,
+    scaleY = 1,
+    trim,
+    rotation,
+    rotatedWidth,
+    rotatedHeight,
+    originalWidth,
+    originalHeight,
+  } = transform;
+
+  // Registered -> rotated canvas
+  const corners = [
+    [region.x, region.y],
+    [region.x + region.width, region.y],
+    [region.x, region.y + region.height],
+    [region.x + region.width, region.y + region.height],
+  ].map(([x, y]) => [trim.left + x * scaleX, trim.top + y * scaleY]);
+
+  // Rotated canvas -> original, undoing the clockwise rotation about the centre
+  const radians = (-rotation * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const original = corners.map(([x, y]) => {
+    const dx = x - rotatedWidth / 2;
+    const dy = y - rotatedHeight / 2;
+    return [
+      dx * cos - dy * sin + originalWidth / 2,
+      dx * sin + dy * cos + originalHeight / 2,
+    ];
+  });
+
+  const left = Math.max(0, Math.floor(Math.min(...original.map((p) => p[0]))));
+  const top = Math.max(0, Math.floor(Math.min(...original.map((p) => p[1]))));
+  const right = Math.min(
+    originalWidth,
+    Math.ceil(Math.max(...original.map((p) => p[0])))
+  );
+  const bottom = Math.min(
+    originalHeight,
+    Math.ceil(Math.max(...original.map((p) => p[1])))
+  );
+
+  return {
+    ...region,
+    x: left,
+    y: top,
+    width: Math.max(0, right - left),
+    height: Math.max(0, bottom - top),
+  };
+};
+
+/**
+ * Maps a box from an original image onto its normalized (or registered)
+ * geometry, the inverse of mapRegionToOriginal
+ * @param {Object} region Box with x, y, width and height in original coordinates
+ * @param {Object} transform Transform returned by normalizeDocument or registerToReference
+ * @returns {Object} The region in normalized coordinates, clipped to the image
+ */
+export const mapRegionFromOriginal = (region, transform) => {
+  const {
+    scaleX = 1,
+    scaleY = 1,
+    trim,
+    rotation,
+    rotatedWidth,
+    rotatedHeight,
+    originalWidth,
+    originalHeight,
+  } = transform;
+
+  // Original -> rotated canvas, applying the clockwise rotation about the centre
+  const radians = (rotation * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const normalized = [
+    [region.x, region.y],
+    [region.x + region.width, region.y],
+    [region.x, region.y + region.height],
+    [region.x + region.width, region.y + region.height],
+  ]
+    .map(([x, y]) => {
+      const dx = x - originalWidth / 2;
+      const dy = y - originalHeight / 2;
+      return [
+        dx * cos - dy * sin + rotatedWidth / 2,
+        dx * sin + dy * cos + rotatedHeight / 2,
+      ];
+    })
+    // Rotated canvas -> trimmed and rescaled image
+    .map(([x, y]) => [(x - trim.left) / scaleX, (y - trim.top) / scaleY]);
+
+  const width = trim.width / scaleX;
+  const height = trim.height / scaleY;
+  const left = Math.max(0, Math.floor(Math.min(...normalized.map((p) => p[0]))));
+  const top = Math.max(0, Math.floor(Math.min(...normalized.map((p) => p[1]))));
+  const right = Math.min(
+    Math.round(width),
+    Math.ceil(Math.max(...normalized.map((p) => p[0])))
+  );
+  const bottom = Math.min(
+    Math.round(height),
+    Math.ceil(Math.max(...normalized.map((p) => p[1])))
+  );
+
+  return {
+    ...region,
+    x: left,
+    y: top,
+    width: Math.max(0, right - left),
+    height: Math.max(0, bottom - top),
+  };
+};
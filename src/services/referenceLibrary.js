@@ -0,0 +1,331 @@
+import fs from "fs";
+import path from "path";
+
+const MANIFEST_FILE = "references.json";
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|tif|tiff|bmp)$/i;
+// <DocumentType>_<Font>_<FontSize>_<Variant>-g.<ext>, e.g. PaySlip_Arial_10_1b-g.png
+const REFERENCE_NAME_PATTERN = /^([A-Za-z]+)_([A-Za-z]+)_(\d+)_([A-Za-z0-9]+)-g\.\w+$/;
+const METADATA_FIELDS = ["documentType", "font", "fontSize", "variant"];
+// Format of the image each library extension stands for
+const EXTENSION_FORMATS = {
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".png": "png",
+  ".tif": "tiff",
+  ".tiff": "tiff",
+  ".bmp": "bmp",
+};
+// Field zone names, e.g. net_amount
+const ZONE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const libraryError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Extracts document type, font, size and variant from a reference filename
+ * @param {string} filename Reference filename
+ * @returns {Object} Parsed metadata (empty when the name does not follow the convention)
+ */
+export const parseReferenceName = (filename) => {
+  const match = path.basename(filename).match(REFERENCE_NAME_PATTERN);
+  if (!match) return {};
+
+  return {
+    documentType: match[1],
+    font: match[2],
+    fontSize: Number(match[3]),
+    variant: match[4],
+  };
+};
+
+/**
+ * Validates and normalizes user-supplied metadata
+ * @param {Object} metadata Raw metadata, e.g. multipart fields or a JSON body
+ * @returns {Object} Metadata restricted to the known fields
+ */
+export const normalizeMetadata = (metadata = {}) => {
+  const normalized = {};
+
+  for (const field of METADATA_FIELDS) {
+    const value = metadata[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    if (field === "fontSize") {
+      const fontSize = Number(value);
+      if (!Number.isFinite(fontSize) || fontSize <= 0) {
+        throw libraryError("fontSize must be a positive number", 400);
+      }
+      normalized.fontSize = fontSize;
+    } else {
+      normalized[field] = String(value).trim();
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Validates the field zones of a reference: named rectangles in the pixels of
+ * the reference image, each with an optional similarity threshold (0-1)
+ * @param {Array<Object>} zones e.g. [{ name: "net_amount", x, y, width, height }]
+ * @param {Object} [image] { width, height } of the reference image, to keep zones inside it
+ * @returns {Array<Object>} Normalized zones
+ */
+export const normalizeZones = (zones, image = null) => {
+  if (!Array.isArray(zones)) {
+    throw libraryError("zones must be an array", 400);
+  }
+
+  const names = new Set();
+  return zones.map((zone, index) => {
+    const label = `Zone ${index + 1}`;
+    if (!zone || typeof zone !== "object") {
+      throw libraryError(`${label} must be an object`, 400);
+    }
+    if (!ZONE_NAME_PATTERN.test(String(zone.name ?? ""))) {
+      throw libraryError(
+        `${label} needs a name made of letters, digits and underscores`,
+        400
+      );
+    }
+    if (names.has(zone.name)) {
+      throw libraryError(`Zone name ${zone.name} is used twice`, 400);
+    }
+    names.add(zone.name);
+
+    const box = {};
+    for (const field of ["x", "y", "width", "height"]) {
+      const value = Number(zone[field]);
+      const minimum = field === "x" || field === "y" ? 0 : 1;
+      if (!Number.isInteger(value) || value < minimum) {
+        throw libraryError(
+          `${zone.name}: ${field} must be an integer of at least ${minimum}`,
+          400
+        );
+      }
+      box[field] = value;
+    }
+    if (
+      image &&
+      (box.x + box.width > image.width || box.y + box.height > image.height)
+    ) {
+      throw libraryError(
+        `${zone.name} extends beyond the ${image.width}x${image.height} reference image`,
+        400
+      );
+    }
+
+    const normalized = { name: zone.name, ...box };
+    if (zone.minSimilarity !== undefined && zone.minSimilarity !== null) {
+      const minSimilarity = Number(zone.minSimilarity);
+      if (!(minSimilarity >= 0 && minSimilarity <= 1)) {
+        throw libraryError(`${zone.name}: minSimilarity must be between 0 and 1`, 400);
+      }
+      normalized.minSimilarity = minSimilarity;
+    }
+    return normalized;
+  });
+};
+
+/**
+ * Creates a reference library backed by a directory of genuine documents.
+ * Metadata is kept in a manifest next to the images; images added to the
+ * directory by hand are picked up and their metadata parsed from the filename.
+ * @param {string} genuineDir Directory holding the genuine documents
+ * @returns {Object} Library operations
+ */
+export const createReferenceLibrary = (genuineDir) => {
+  const manifestPath = path.join(genuineDir, MANIFEST_FILE);
+
+  const readManifest = () => {
+    // Keyed by user-supplied ids: without a prototype, "__proto__" or
+    // "constructor" are just unknown references
+    const manifest = Object.create(null);
+    if (!fs.existsSync(manifestPath)) return manifest;
+    try {
+      return Object.assign(
+        manifest,
+        JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+      );
+    } catch (error) {
+      console.error("Error reading reference manifest, rebuilding it:", error);
+      return manifest;
+    }
+  };
+
+  const writeManifest = (manifest) => {
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  };
+
+  const toReference = (filename, entry) => ({
+    id: filename,
+    filename,
+    path: path.join(genuineDir, filename),
+    ...entry,
+  });
+
+  // Reconciles the manifest with the images actually on disk
+  const load = () => {
+    const manifest = readManifest();
+    const files = fs.existsSync(genuineDir)
+      ? fs.readdirSync(genuineDir).filter((file) => IMAGE_PATTERN.test(file))
+      : [];
+    let changed = false;
+
+    for (const file of files) {
+      if (!manifest[file]) {
+        manifest[file] = {
+          ...parseReferenceName(file),
+          addedAt: fs.statSync(path.join(genuineDir, file)).mtime.toISOString(),
+        };
+        changed = true;
+      }
+    }
+    for (const file of Object.keys(manifest)) {
+      if (!files.includes(file)) {
+        delete manifest[file];
+        changed = true;
+      }
+    }
+
+    if (changed && fs.existsSync(genuineDir)) writeManifest(manifest);
+    return manifest;
+  };
+
+  const requireEntry = (manifest, id) => {
+    const entry = manifest[path.basename(id)];
+    if (!entry) {
+      throw libraryError(`Reference not found: ${id}`, 404);
+    }
+    return entry;
+  };
+
+  const matchesFilter = (entry, filter) =>
+    Object.entries(filter).every(
+      ([field, value]) =>
+        value === undefined ||
+        String(entry[field] ?? "").toLowerCase() === String(value).toLowerCase()
+    );
+
+  return {
+    /**
+     * Lists references, optionally filtered by metadata fields
+     * @param {Object} filter e.g. { documentType: "PaySlip", font: "Arial" }
+     */
+    list: (filter = {}) =>
+      Object.entries(load())
+        .filter(([, entry]) => matchesFilter(entry, normalizeMetadata(filter)))
+        .map(([filename, entry]) => toReference(filename, entry))
+        .sort((a, b) => a.filename.localeCompare(b.filename)),
+
+    get: (id) => {
+      const manifest = load();
+      return toReference(path.basename(id), requireEntry(manifest, id));
+    },
+
+    /**
+     * Registers an image already stored in the library directory
+     * @param {string} filename Stored filename
+     * @param {Object} metadata Explicit metadata; overrides what the filename encodes
+     */
+    add: (filename, metadata = {}) => {
+      const manifest = load();
+      manifest[filename] = {
+        ...parseReferenceName(filename),
+        ...normalizeMetadata(metadata),
+        addedAt: new Date().toISOString(),
+      };
+      writeManifest(manifest);
+      return toReference(filename, manifest[filename]);
+    },
+
+    updateMetadata: (id, metadata) => {
+      const manifest = load();
+      const entry = requireEntry(manifest, id);
+      const updates = normalizeMetadata(metadata);
+      if (Object.keys(updates).length === 0) {
+        throw libraryError(
+          `No metadata to update. Allowed fields: ${METADATA_FIELDS.join(", ")}`,
+          400
+        );
+      }
+
+      manifest[path.basename(id)] = {
+        ...entry,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      };
+      writeManifest(manifest);
+      return toReference(path.basename(id), manifest[path.basename(id)]);
+    },
+
+    /**
+     * Replaces the field zones of a reference; an empty list removes them
+     * @param {string} id Reference id
+     * @param {Array<Object>} zones Zones already checked by normalizeZones
+     */
+    setZones: (id, zones) => {
+      const manifest = load();
+      const entry = { ...requireEntry(manifest, id) };
+      delete entry.zones;
+
+      manifest[path.basename(id)] = {
+        ...entry,
+        ...(zones.length > 0 && { zones }),
+        updatedAt: new Date().toISOString(),
+      };
+      writeManifest(manifest);
+      return toReference(path.basename(id), manifest[path.basename(id)]);
+    },
+
+    /**
+     * Replaces a reference's image, keeping its id and metadata. The id is the
+     * filename, so the new image must be in the format its extension names.
+     * Field zones were drawn on the old image and are removed.
+     * @param {string} id Reference id
+     * @param {string} newImagePath Path of the new image (moved into the library)
+     * @param {string} format Real format of the new image, as named by detectFileFormat
+     */
+    replaceImage: (id, newImagePath, format) => {
+      const manifest = load();
+      const { zones, ...entry } = requireEntry(manifest, id);
+      const filename = path.basename(id);
+
+      const expected = EXTENSION_FORMATS[path.extname(filename).toLowerCase()];
+      if (format !== expected) {
+        throw libraryError(
+          `Reference ${filename} is a ${expected} image; replace it with a ` +
+            `${expected} or add the ${format} image as a new reference`,
+          415
+        );
+      }
+
+      fs.copyFileSync(newImagePath, path.join(genuineDir, filename));
+      fs.unlinkSync(newImagePath);
+
+      manifest[filename] = { ...entry, updatedAt: new Date().toISOString() };
+      writeManifest(manifest);
+      return toReference(filename, manifest[filename]);
+    },
+
+    remove: (id) => {
+      const manifest = load();
+      const entry = requireEntry(manifest, id);
+      const filename = path.basename(id);
+
+      fs.unlinkSync(path.join(genuineDir, filename));
+      delete manifest[filename];
+      writeManifest(manifest);
+      return toReference(filename, entry);
+    },
+  };
+};
@@ -0,0 +1,290 @@
+import path from "path";
+import sharp from "sharp";
+import crypto from "crypto";
+import { ensureDirectoryExists } from "../utils/fileUtils.js";
+
+// Images are compared at this width; payslip glyphs are still ~10px wide here
+const WORKING_WIDTH = 1240;
+// Size (in working pixels) of the grid cells used to group differing pixels
+const CELL_SIZE = 8;
+// Grey-level difference above which a pixel counts as changed
+const PIXEL_THRESHOLD = 64;
+// Fraction of changed pixels above which a cell is considered suspicious
+const CELL_THRESHOLD = 0.05;
+const MAX_REGIONS = 50;
+// Diff image colours: ink only in the upload, ink only in the reference, and
+// the outline of each cluster of differences
+const ADDED_COLOR = [220, 38, 38];
+const REMOVED_COLOR = [37, 99, 235];
+const CLUSTER_STROKE = "#f59e0b";
+// Share of its darkness unchanged content keeps in the diff image
+const UNCHANGED_OPACITY = 0.3;
+
+/**
+ * Loads an image as a normalized single-channel raw buffer
+ * @param {string} imagePath Path to the image
+ * @param {number} width Target width
+ * @param {number} height Target height
+ * @returns {Promise<Buffer>} Raw grayscale pixels
+ */
+const loadGrayscale = (imagePath, width, height) =>
+  sharp(imagePath)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .resize(width, height, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+/**
+ * Groups neighbouring suspicious cells into connected components
+ * @param {Float32Array} cellRatios Changed-pixel ratio for every cell
+ * @param {number} columns Number of cell columns
+ * @param {number} rows Number of cell rows
+ * @returns {Array<Object>} Components in cell coordinates
+ */
+const groupCells = (cellRatios, columns, rows) => {
+  const visited = new Uint8Array(cellRatios.length);
+  const components = [];
+
+  for (let start = 0; start < cellRatios.length; start++) {
+    if (visited[start] || cellRatios[start] <= CELL_THRESHOLD) continue;
+
+    const stack = [start];
+    visited[start] = 1;
+    const component = {
+      minX: columns,
+      minY: rows,
+      maxX: 0,
+      maxY: 0,
+      total: 0,
+      peak: 0,
+      cells: 0,
+    };
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      const ratio = cellRatios[cell];
+
+      component.minX = Math.min(component.minX, cx);
+      component.minY = Math.min(component.minY, cy);
+      component.maxX = Math.max(component.maxX, cx);
+      component.maxY = Math.max(component.maxY, cy);
+      component.total += ratio;
+      component.peak = Math.max(component.peak, ratio);
+      component.cells++;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+          const next = ny * columns + nx;
+          if (!visited[next] && cellRatios[next] > CELL_THRESHOLD) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return components;
+};
+
+/**
+ * Finds the regions where an uploaded document differs from its reference
+ * @param {string} uploadedImagePath Path to the uploaded document
+ * @param {string} referenceImagePath Path to the matched genuine document
+ * @returns {Promise<Object>} Suspicious regions in uploaded-image coordinates
+ */
+export const localizeTamperedRegions = async (
+  uploadedImagePath,
+  referenceImagePath
+) => {
+  const uploadedMeta = await sharp(uploadedImagePath).metadata();
+  const referenceMeta = await sharp(referenceImagePath).metadata();
+
+  const width = Math.min(WORKING_WIDTH, referenceMeta.width);
+  const height = Math.round(
+    (referenceMeta.height / referenceMeta.width) * width
+  );
+
+  const [uploadedPixels, referencePixels] = await Promise.all([
+    loadGrayscale(uploadedImagePath, width, height),
+    loadGrayscale(referenceImagePath, width, height),
+  ]);
+
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const changedPerCell = new Float32Array(columns * rows);
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (Math.abs(uploadedPixels[i] - referencePixels[i]) > PIXEL_THRESHOLD) {
+        changedPerCell[
+          Math.floor(y / CELL_SIZE) * columns + Math.floor(x / CELL_SIZE)
+        ]++;
+        changedPixels++;
+      }
+    }
+  }
+
+  const cellArea = CELL_SIZE * CELL_SIZE;
+  for (let i = 0; i < changedPerCell.length; i++) {
+    changedPerCell[i] /= cellArea;
+  }
+
+  // Map working coordinates back onto the uploaded image
+  const scaleX = uploadedMeta.width / width;
+  const scaleY = uploadedMeta.height / height;
+
+  const regions = groupCells(changedPerCell, columns, rows)
+    .map((component) => {
+      const x = Math.floor(component.minX * CELL_SIZE * scaleX);
+      const y = Math.floor(component.minY * CELL_SIZE * scaleY);
+      const right = Math.min(
+        uploadedMeta.width,
+        Math.ceil((component.maxX + 1) * CELL_SIZE * scaleX)
+      );
+      const bottom = Math.min(
+        uploadedMeta.height,
+        Math.ceil((component.maxY + 1) * CELL_SIZE * scaleY)
+      );
+
+      return {
+        x,
+        y,
+        width: right - x,
+        height: bottom - y,
+        score: Number(
+          ((component.peak + component.total / component.cells) / 2).toFixed(3)
+        ),
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_REGIONS);
+
+  return {
+    regions,
+    changedRatio: changedPixels / (width * height),
+    imageWidth: uploadedMeta.width,
+    imageHeight: uploadedMeta.height,
+  };
+};
+
+/**
+ * Draws the suspicious regions on top of the uploaded document
+ * @param {string} imagePath Path to the uploaded document
+ * @param {Array<Object>} regions Regions returned by localizeTamperedRegions
+ * @param {string} outputDir Directory to write the overlay into
+ * @returns {Promise<string>} Filename of the generated overlay PNG
+ */
+export const createRegionOverlay = async (imagePath, regions, outputDir) => {
+  ensureDirectoryExists(outputDir);
+
+  const { width, height } = await sharp(imagePath).metadata();
+  const strokeWidth = Math.max(2, Math.round(width / 500));
+
+  const rectangles = regions
+    .map(
+      (region) =>
+        `<rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}" ` +
+        `fill="rgba(255,0,0,0.25)" stroke="#ff0000" stroke-width="${strokeWidth}"/>`
+    )
+    .join("");
+  const svg = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rectangles}</svg>`
+  );
+
+  const overlayName = `overlay-${Date.now()}-${crypto
+    .randomBytes(4)
+    .toString("hex")}.png`;
+
+  await sharp(imagePath)
+    .flatten({ background: "#ffffff" })
+    .composite([{ input: svg, top: 0, left: 0 }])
+    .png()
+    .toFile(path.join(outputDir, overlayName));
+
+  return overlayName;
+};
+
+
+/**
+ * Draws a pixel diff of an upload registered onto its reference: ink found
+ * only in the upload in red, ink found only in the reference in blue, the
+ * content they share faded, and every cluster of differences outlined
+ * @param {string} uploadedImagePath Upload registered onto the reference
+ * @param {string} referenceImagePath Reference document
+ * @param {string} outputDir Directory to write the diff into
+ * @returns {Promise<Object>} { image (filename of the PNG), clusters, changedRatio },
+ *   with clusters in the reference's coordinates
+ */
+export const createDiffImage = async (
+  uploadedImagePath,
+  referenceImagePath,
+  outputDir
+) => {
+  ensureDirectoryExists(outputDir);
+
+  const { width, height } = await sharp(referenceImagePath).metadata();
+  const [uploadedPixels, referencePixels] = await Promise.all([
+    loadGrayscale(uploadedImagePath, width, height),
+    loadGrayscale(referenceImagePath, width, height),
+  ]);
+  const { regions: clusters, changedRatio } = await localizeTamperedRegions(
+    uploadedImagePath,
+    referenceImagePath
+  );
+
+  const diff = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    const delta = uploadedPixels[i] - referencePixels[i];
+    let color;
+    if (delta < -PIXEL_THRESHOLD) {
+      color = ADDED_COLOR;
+    } else if (delta > PIXEL_THRESHOLD) {
+      color = REMOVED_COLOR;
+    } else {
+      const shade =
+        255 -
+        Math.round(
+          (255 - Math.min(uploadedPixels[i], referencePixels[i])) *
+            UNCHANGED_OPACITY
+        );
+      color = [shade, shade, shade];
+    }
+    diff[i * 3] = color[0];
+    diff[i * 3 + 1] = color[1];
+    diff[i * 3 + 2] = color[2];
+  }
+
+  const strokeWidth = Math.max(2, Math.round(width / 500));
+  const rectangles = clusters
+    .map(
+      (cluster) =>
+        `<rect x="${cluster.x}" y="${cluster.y}" width="${cluster.width}" height="${cluster.height}" ` +
+        `fill="none" stroke="${CLUSTER_STROKE}" stroke-width="${strokeWidth}"/>`
+    )
+    .join("");
+  const svg = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rectangles}</svg>`
+  );
+
+  const diffName = `diff-${Date.now()}-${crypto
+    .randomBytes(4)
+    .toString("hex")}.png`;
+
+  await sharp(diff, { raw: { width, height, channels: 3 } })
+    .composite([{ input: svg, top: 0, left: 0 }])
+    .png()
+    .toFile(path.join(outputDir, diffName));
+
+  return { image: diffName, clusters, changedRatio };
+};
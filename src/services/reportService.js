@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { createPdfDocument } from "./pdfWriter.js";
+
+// Longest side of the images embedded in reports, in pixels
+const REPORT_IMAGE_SIZE = 1600;
+const REPORT_IMAGE_QUALITY = 80;
+// Flagged regions listed one by one; the rest are only counted
+const MAX_LISTED_REGIONS = 40;
+const VERDICT_COLORS = { genuine: [22, 128, 61], forged: [185, 28, 28] };
+const MARGIN = 50;
+
+/**
+ * Loads an image for embedding in a report, as a downscaled JPEG
+ * @param {string|null} imagePath Path to the image
+ * @returns {Promise<Object|null>} { data, width, height, channels }, or null when unavailable
+ */
+const loadReportImage = async (imagePath) => {
+  if (!imagePath || !fs.existsSync(imagePath)) return null;
+  try {
+    const { data, info } = await sharp(imagePath)
+      .flatten({ background: "#ffffff" })
+      .resize(REPORT_IMAGE_SIZE, REPORT_IMAGE_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: REPORT_IMAGE_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  } catch (error) {
+    // e.g. PDFs, which sharp cannot render
+    console.error(`Cannot embed ${imagePath} in report:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Gathers what a report shows about a past verification
+ * @param {Object} verification History record
+ * @param {Object} dirs
+ * @param {string} dirs.uploadsDir Directory holding uploads and their overlays
+ * @param {string} dirs.genuineDir Directory of the genuine references
+ * @returns {Promise<Object>} { verification, documentImage, referenceImage, generatedAt }
+ */
+export const buildReportData = async (verification, { uploadsDir, genuineDir }) => {
+  // The overlay already outlines the flagged regions on the decisive page
+  const overlayPath = verification.overlay
+    ? path.join(uploadsDir, "overlays", path.basename(verification.overlay))
+    : null;
+  const uploadPath = verification.storedAs
+    ? path.join(uploadsDir, path.basename(verification.storedAs))
+    : null;
+
+  const documentImage =
+    (await loadReportImage(overlayPath)) || (await loadReportImage(uploadPath));
+  const referenceImage = verification.bestMatch
+    ? await loadReportImage(
+        path.join(genuineDir, path.basename(verification.bestMatch))
+      )
+    : null;
+
+  return {
+    verification,
+    documentImage,
+    referenceImage,
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+const formatScore = (score) =>
+  score === null || score === undefined ? "n/a" : Number(score).toFixed(1);
+
+/**
+ * Rows shared by both report formats
+ */
+const summaryRows = ({ verification, generatedAt }) => [
+  ["Verification ID", verification.id],
+  ["Verified at", verification.createdAt],
+  ["Report generated", generatedAt],
+  ["File name", verification.fileName],
+  ["SHA-256", verification.fileHash],
+  ["File size", `${verification.fileSize} bytes`],
+  ["Pages", verification.pageCount],
+  [
+    "Similarity",
+    `${formatScore(verification.similarity)}% (threshold ${formatScore(
+      verification.threshold
+    )}%${verification.profile ? `, ${verification.profile} profile` : ""})`,
+  ],
+  ["Best-match reference", verification.bestMatch || "None"],
+  ...(verification.batchId ? [["Batch", verification.batchId]] : []),
+];
+
+const regionRows = (verification) =>
+  (verification.regions || [])
+    .slice(0, MAX_LISTED_REGIONS)
+    .map((region, index) => [
+      index + 1,
+      region.detector || "",
+      region.x,
+      region.y,
+      region.width,
+      region.height,
+    ]);
+
+const fieldRows = (verification) =>
+  (verification.fields || []).map((field) => [
+    field.name,
+    field.status,
+    formatScore(field.similarity === null ? null : field.similarity * 100),
+  ]);
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const htmlImage = (image, alt) =>
+  image
+    ? `<img src="data:image/jpeg;base64,${image.data.toString("base64")}" alt="${escapeHtml(alt)}">`
+    : `<p class="note">${escapeHtml(alt)}: image no longer available</p>`;
+
+/**
+ * Renders a verification report as a self-contained HTML page
+ * @param {Object} data Report data from buildReportData
+ * @param {Object} signing { keyId } of the key the report will be signed with
+ * @returns {Buffer} HTML document
+ */
+export const renderHtmlReport = (data, { keyId }) => {
+  const { verification, documentImage, referenceImage } = data;
+  const regions = verification.regions || [];
+  const fields = verification.fields || [];
+  const [red, green, blue] = VERDICT_COLORS[verification.verdict] || [0, 0, 0];
+  const table = (header, rows) =>
+    `<table>${header ? `<tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("")}</tr>` : ""}` +
+    rows
+      .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+      .join("") +
+    "</table>";
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Verification report ${escapeHtml(verification.id)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #111; }
+.verdict { font-size: 1.6em; font-weight: bold; color: rgb(${red}, ${green}, ${blue}); }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+img { max-width: 100%; border: 1px solid #ccc; }
+.images { display: flex; gap: 20px; }
+.images figure { flex: 1; margin: 0; }
+.note { color: #666; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>Document verification report</h1>
+<p class="verdict">${escapeHtml(String(verification.verdict).toUpperCase())}</p>
+${table(null, summaryRows(data))}
+<h2>Detector scores</h2>
+${table(
+  ["Detector", "Score"],
+  Object.entries(verification.scores || {}).map(([detector, score]) => [
+    detector,
+    formatScore(score),
+  ])
+)}
+${fields.length ? `<h2>Fields</h2>
+${table(["Field", "Status", "Similarity"], fieldRows(verification))}` : ""}
+<h2>Flagged regions (${regions.length})</h2>
+${regions.length ? table(["#", "Detector", "x", "y", "Width", "Height"], regionRows(verification)) : "<p>None</p>"}
+${regions.length > MAX_LISTED_REGIONS ? `<p class="note">and ${regions.length - MAX_LISTED_REGIONS} more</p>` : ""}
+<div class="images">
+<figure>${htmlImage(documentImage, "Uploaded document")}<figcaption>Uploaded document, flagged regions outlined</figcaption></figure>
+<figure>${htmlImage(referenceImage, "Best-match reference")}<figcaption>Best-match reference</figcaption></figure>
+</div>
+<p class="note">Signed with key ${escapeHtml(keyId)}. The signature is the last line of this file; check it with POST /api/documents/reports/verify.</p>
+</body>
+</html>
+`;
+  return Buffer.from(html, "utf8");
+};
+
+/**
+ * Renders a verification report as a PDF
+ * @param {Object} data Report data from buildReportData
+ * @param {Object} signing { keyId } of the key the report will be signed with
+ * @returns {Buffer} PDF document
+ */
+export const renderPdfReport = (data, { keyId }) => {
+  const { verification, documentImage, referenceImage } = data;
+  const regions = verification.regions || [];
+  const fields = verification.fields || [];
+  const pdf = createPdfDocument();
+  let y = MARGIN;
+
+  const newPageIfNeeded = (space) => {
+    if (y + space > pdf.height - MARGIN) {
+      pdf.addPage();
+      y = MARGIN;
+    }
+  };
+  const line = (text, style = {}) => {
+    const size = style.size || 10;
+    newPageIfNeeded(size * 1.5);
+    y += size * 1.5;
+    pdf.drawText(text, MARGIN, y, style);
+  };
+  const columns = (cells, positions, style) => {
+    newPageIfNeeded(15);
+    y += 15;
+    cells.forEach((cell, index) =>
+      pdf.drawText(cell, MARGIN + positions[index], y, style)
+    );
+  };
+  const heading = (text) => {
+    y += 10;
+    line(text, { size: 13, bold: true });
+  };
+  const image = (img, caption) => {
+    pdf.addPage();
+    y = MARGIN;
+    line(caption, { size: 13, bold: true });
+    if (!img) {
+      line("Image no longer available", { color: [102, 102, 102] });
+      return;
+    }
+    const boxWidth = pdf.width - 2 * MARGIN;
+    const boxHeight = pdf.height - 2 * MARGIN - (y - MARGIN) - 10;
+    const scale = Math.min(boxWidth / img.width, boxHeight / img.height);
+    pdf.drawImage(img, MARGIN, y + 10, img.width * scale, img.height * scale);
+  };
+
+  line("Document verification report", { size: 18, bold: true });
+  y += 6;
+  line(String(verification.verdict).toUpperCase(), {
+    size: 16,
+    bold: true,
+    color: VERDICT_COLORS[verification.verdict],
+  });
+  y += 6;
+  summaryRows(data).forEach(([label, value]) =>
+    columns([label, String(value ?? "")], [0, 130])
+  );
+
+  heading("Detector scores");
+  Object.entries(verification.scores || {}).forEach(([detector, score]) =>
+    columns([detector, formatScore(score)], [0, 130])
+  );
+
+  if (fields.length) {
+    heading("Fields");
+    columns(["Field", "Status", "Similarity"], [0, 160, 240], { bold: true });
+    fieldRows(verification).forEach((row) => columns(row, [0, 160, 240]));
+  }
+
+  heading(`Flagged regions (${regions.length})`);
+  const positions = [0, 30, 160, 220, 280, 340];
+  if (regions.length) {
+    columns(["#", "Detector", "x", "y", "Width", "Height"], positions, { bold: true });
+    regionRows(verification).forEach((row) => columns(row.map(String), positions));
+    if (regions.length > MAX_LISTED_REGIONS) {
+      line(`and ${regions.length - MAX_LISTED_REGIONS} more`, { color: [102, 102, 102] });
+    }
+  } else {
+    line("None");
+  }
+
+  y += 10;
+  line(`Signed with key ${keyId}. The signature is the last line of this file;`, {
+    size: 8,
+    color: [102, 102, 102],
+  });
+  line("check it with POST /api/documents/reports/verify.", {
+    size: 8,
+    color: [102, 102, 102],
+  });
+
+  image(documentImage, "Uploaded document, flagged regions outlined");
+  image(referenceImage, "Best-match reference");
+
+  return pdf.toBuffer();
+};
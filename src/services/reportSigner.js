@@ -0,0 +1,149 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const SIGNATURE_ALGORITHM = "Ed25519";
+// The signature is appended as the report's last line, in a comment of the
+// report's own format so the file still opens normally
+const SIGNATURE_LINES = {
+  html: (encoded) => `<!-- report-signature: ${encoded} -->\n`,
+  pdf: (encoded) => `%report-signature: ${encoded}\n`,
+};
+const SIGNATURE_LINE_PATTERN =
+  /(?:<!-- |%)report-signature: ([A-Za-z0-9+/=]+)(?: -->)?\n?$/;
+
+/**
+ * Loads the server's Ed25519 signing key, generating and saving one on first use
+ * @param {string} keyFile Path of the PEM-encoded private key
+ * @returns {crypto.KeyObject} The private key
+ */
+const loadSigningKey = (keyFile) => {
+  if (fs.existsSync(keyFile)) {
+    return crypto.createPrivateKey(fs.readFileSync(keyFile, "utf8"));
+  }
+
+  console.log(`Generating report signing key at ${keyFile}`);
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(
+    keyFile,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600 }
+  );
+  return privateKey;
+};
+
+/**
+ * The bytes a signature covers: the report followed by the signature's own
+ * metadata, so neither can be altered without breaking it
+ */
+const signedMessage = (content, { alg, keyId, verificationId, format, signedAt }) =>
+  Buffer.concat([
+    content,
+    Buffer.from(JSON.stringify({ alg, keyId, verificationId, format, signedAt })),
+  ]);
+
+/**
+ * Creates the signer of verification reports. Reports are signed with the
+ * server's private key; anyone holding the public key can check them.
+ * @param {string} keyFile Path of the PEM-encoded Ed25519 private key
+ * @returns {Object} Signer with keyId, publicKey, sign and verify
+ */
+export const createReportSigner = (keyFile) => {
+  let keys = null;
+  // The key is loaded lazily so servers that never sign do not create one
+  const getKeys = () => {
+    if (!keys) {
+      const privateKey = loadSigningKey(keyFile);
+      const publicKey = crypto.createPublicKey(privateKey);
+      const keyId = crypto
+        .createHash("sha256")
+        .update(publicKey.export({ type: "spki", format: "der" }))
+        .digest("hex")
+        .slice(0, 16);
+      keys = { privateKey, publicKey, keyId };
+    }
+    return keys;
+  };
+
+  return {
+    /**
+     * @returns {string} Short fingerprint of the public key
+     */
+    keyId: () => getKeys().keyId,
+
+    /**
+     * @returns {string} PEM-encoded public key
+     */
+    publicKeyPem: () => getKeys().publicKey.export({ type: "spki", format: "pem" }),
+
+    /**
+     * Signs a rendered report
+     * @param {Buffer} content Report contents
+     * @param {Object} meta { verificationId, format: "html" | "pdf" }
+     * @returns {Buffer} The report with its signature line appended
+     */
+    sign: (content, { verificationId, format }) => {
+      const { privateKey, keyId } = getKeys();
+      const meta = {
+        alg: SIGNATURE_ALGORITHM,
+        keyId,
+        verificationId,
+        format,
+        signedAt: new Date().toISOString(),
+      };
+      const signature = crypto
+        .sign(null, signedMessage(content, meta), privateKey)
+        .toString("base64");
+      const encoded = Buffer.from(JSON.stringify({ ...meta, signature })).toString(
+        "base64"
+      );
+      return Buffer.concat([content, Buffer.from(SIGNATURE_LINES[format](encoded))]);
+    },
+
+    /**
+     * Checks the signature of a report produced by sign()
+     * @param {Buffer} report Report file contents
+     * @returns {Object} { valid, reason, and the signature metadata when present }
+     */
+    verify: (report) => {
+      const text = report.toString("latin1");
+      const match = text.match(SIGNATURE_LINE_PATTERN);
+      if (!match) {
+        return { valid: false, reason: "The report has no signature" };
+      }
+
+      let signed;
+      try {
+        signed = JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+      } catch (error) {
+        return { valid: false, reason: "The report's signature is malformed" };
+      }
+      const { signature, ...meta } = signed;
+      const { publicKey, keyId } = getKeys();
+      if (meta.alg !== SIGNATURE_ALGORITHM || meta.keyId !== keyId) {
+        return {
+          valid: false,
+          reason: "The report was not signed with this server's key",
+          ...meta,
+        };
+      }
+
+      // latin1 maps bytes one to one, so the match index is a byte offset
+      const content = report.subarray(0, match.index);
+      const valid = crypto.verify(
+        null,
+        signedMessage(content, meta),
+        publicKey,
+        Buffer.from(String(signature), "base64")
+      );
+      return {
+        valid,
+        reason: valid
+          ? "The report is unaltered and was signed by this server"
+          : "The report was altered after it was signed",
+        ...meta,
+      };
+    },
+  };
+};
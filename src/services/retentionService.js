@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Deletes the files under a directory (recursively) last modified more than
+ * maxAgeMs ago. Directories themselves are kept.
+ * @param {string} directory Directory to purge
+ * @param {number} maxAgeMs Age above which files are deleted
+ * @returns {number} Number of files deleted
+ */
+export const purgeExpiredFiles = (directory, maxAgeMs) => {
+  if (!fs.existsSync(directory)) return 0;
+
+  const cutoff = Date.now() - maxAgeMs;
+  let deleted = 0;
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      deleted += purgeExpiredFiles(entryPath, maxAgeMs);
+      continue;
+    }
+    try {
+      if (fs.statSync(entryPath).mtimeMs < cutoff) {
+        fs.unlinkSync(entryPath);
+        deleted++;
+      }
+    } catch (error) {
+      // A file may be deleted on demand while the purge runs
+      if (error.code !== "ENOENT") {
+        console.error(`Error purging ${entryPath}:`, error);
+      }
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Purges a directory now and then at a fixed interval
+ * @param {string} directory Directory to purge
+ * @param {Object} options
+ * @param {number} options.ttlMs Age above which files are deleted
+ * @param {number} options.intervalMs Time between purges
+ * @returns {Function} Stops the schedule
+ */
+export const startRetentionSchedule = (directory, { ttlMs, intervalMs }) => {
+  const purge = () => {
+    try {
+      const deleted = purgeExpiredFiles(directory, ttlMs);
+      if (deleted > 0) {
+        console.log(`Retention purge deleted ${deleted} expired file(s)`);
+      }
+    } catch (error) {
+      console.error("Error during retention purge:", error);
+    }
+  };
+
+  purge();
+  const timer = setInterval(purge, intervalMs);
+  // The schedule alone should not keep the process alive
+  timer.unref();
+  return () => clearInterval(timer);
+};
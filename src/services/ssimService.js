@@ -0,0 +1,156 @@
+import sharp from "sharp";
+
+// Stabilizing constants from the SSIM paper for 8-bit images
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Loads an image as contrast-normalized grayscale at a fixed size
+ * @param {string} imagePath Path to the image
+ * @param {number} width Target width
+ * @param {number} height Target height
+ * @returns {Promise<Buffer>} Raw grayscale pixels
+ */
+export const loadNormalized = (imagePath, width, height) =>
+  sharp(imagePath)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .resize(width, height, { fit: "fill" })
+    .normalise()
+    .raw()
+    .toBuffer();
+
+/**
+ * SSIM of one square window, at the same position in both images unless the
+ * first image's window is shifted
+ * @param {Buffer} a First image pixels
+ * @param {Buffer} b Second image pixels
+ * @param {number} width Row length of both buffers
+ * @param {number} left Window left edge
+ * @param {number} top Window top edge
+ * @param {number} size Window side
+ * @param {number} [shiftX] Horizontal shift of the window in the first image
+ * @param {number} [shiftY] Vertical shift of the window in the first image
+ * @returns {number} SSIM between -1 and 1
+ */
+export const windowSsim = (
+  a,
+  b,
+  width,
+  left,
+  top,
+  size,
+  shiftX = 0,
+  shiftY = 0
+) => {
+  let sumA = 0;
+  let sumB = 0;
+  let sumAA = 0;
+  let sumBB = 0;
+  let sumAB = 0;
+
+  for (let y = top; y < top + size; y++) {
+    for (let x = left; x < left + size; x++) {
+      const pa = a[(y + shiftY) * width + x + shiftX];
+      const pb = b[y * width + x];
+      sumA += pa;
+      sumB += pb;
+      sumAA += pa * pa;
+      sumBB += pb * pb;
+      sumAB += pa * pb;
+    }
+  }
+
+  const n = size * size;
+  const meanA = sumA / n;
+  const meanB = sumB / n;
+  const varA = sumAA / n - meanA * meanA;
+  const varB = sumBB / n - meanB * meanB;
+  const covariance = sumAB / n - meanA * meanB;
+
+  return (
+    ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2))
+  );
+};
+
+/**
+ * Computes the structural similarity between two images, globally and per tile.
+ * Both images are brought to the reference's aspect ratio at a fixed width and
+ * compared with half-overlapping square windows.
+ * @param {string} uploadedImagePath Path to the uploaded document
+ * @param {string} referenceImagePath Path to the reference document
+ * @param {Object} options
+ * @param {number} options.workingWidth Width both images are resized to
+ * @param {number} options.windowSize Side of the SSIM window
+ * @param {number} options.tileGrid Tiles per side of the SSIM map
+ * @returns {Promise<Object>} { ssim, tiles: [[...]], minTile: { row, column, ssim } }
+ */
+export const computeSsim = async (
+  uploadedImagePath,
+  referenceImagePath,
+  options
+) => {
+  const { workingWidth, windowSize, tileGrid } = options;
+  const referenceMeta = await sharp(referenceImagePath).metadata();
+  const width = Math.min(workingWidth, referenceMeta.width);
+  const height = Math.round((referenceMeta.height / referenceMeta.width) * width);
+
+  const [uploadedPixels, referencePixels] = await Promise.all([
+    loadNormalized(uploadedImagePath, width, height),
+    loadNormalized(referenceImagePath, width, height),
+  ]);
+
+  const tileSums = new Float64Array(tileGrid * tileGrid);
+  const tileCounts = new Uint32Array(tileGrid * tileGrid);
+  let total = 0;
+  let windows = 0;
+  const stride = Math.max(1, Math.floor(windowSize / 2));
+
+  for (let top = 0; top + windowSize <= height; top += stride) {
+    const row = Math.min(
+      tileGrid - 1,
+      Math.floor(((top + windowSize / 2) * tileGrid) / height)
+    );
+    for (let left = 0; left + windowSize <= width; left += stride) {
+      const column = Math.min(
+        tileGrid - 1,
+        Math.floor(((left + windowSize / 2) * tileGrid) / width)
+      );
+      const value = windowSsim(
+        uploadedPixels,
+        referencePixels,
+        width,
+        left,
+        top,
+        windowSize
+      );
+
+      total += value;
+      windows++;
+      tileSums[row * tileGrid + column] += value;
+      tileCounts[row * tileGrid + column]++;
+    }
+  }
+
+  const tiles = [];
+  let minTile = null;
+  for (let row = 0; row < tileGrid; row++) {
+    const values = [];
+    for (let column = 0; column < tileGrid; column++) {
+      const i = row * tileGrid + column;
+      const value = tileCounts[i] ? tileSums[i] / tileCounts[i] : 1;
+      values.push(Number(value.toFixed(4)));
+      if (!minTile || value < minTile.ssim) {
+        minTile = { row, column, ssim: value };
+      }
+    }
+    tiles.push(values);
+  }
+
+  return {
+    ssim: windows ? total / windows : 1,
+    tiles,
+    minTile,
+  };
+};
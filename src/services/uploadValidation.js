@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { detectFileFormat } from "./metadataService.js";
+
+// Enough bytes for every signature detectFileFormat knows
+const SNIFF_LENGTH = 16;
+const MAX_FILENAME_LENGTH = 100;
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with and
+ * the name of the check that failed
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @param {string} check "format", "dimensions", "filename" or "duplicate"
+ * @returns {Error} The error
+ */
+export const uploadError = (message, status, check) => {
+  const error = new Error(message);
+  error.status = status;
+  error.check = check;
+  return error;
+};
+
+/**
+ * Makes a client-supplied filename safe to store: no directories, no control
+ * or shell characters and no leading dots
+ * @param {string} name Original filename
+ * @returns {string} Sanitized filename
+ */
+export const sanitizeFilename = (name) => {
+  // Both separators, whatever the platform the name was made on
+  const base = String(name).split(/[\\/]/).pop();
+  const extension = path.extname(base).toLowerCase();
+  const stem = base
+    .slice(0, base.length - extension.length)
+    .normalize("NFKD")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/^[._]+/, "")
+    .slice(0, MAX_FILENAME_LENGTH);
+  const safeExtension = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : "";
+
+  if (!stem) {
+    throw uploadError(
+      `Filename "${base}" has no usable characters`,
+      400,
+      "filename"
+    );
+  }
+  return `${stem}${safeExtension}`;
+};
+
+/**
+ * Checks a stored upload before anything decodes it: its real format must be
+ * one of the allowed ones, whatever its name or MIME type claims, and images
+ * must not exceed the pixel limit (decompression bombs). Only headers are read.
+ * @param {string} filePath Path to the stored upload
+ * @param {Object} options
+ * @param {Array<string>} options.allowedFormats Formats as named by detectFileFormat
+ * @param {number} options.maxPixels Largest width x height accepted
+ * @returns {Promise<Object>} { format, width, height } (no dimensions for PDFs)
+ */
+export const validateUpload = async (filePath, { allowedFormats, maxPixels }) => {
+  const handle = await fs.promises.open(filePath, "r");
+  const header = Buffer.alloc(SNIFF_LENGTH);
+  let bytesRead;
+  try {
+    ({ bytesRead } = await handle.read(header, 0, SNIFF_LENGTH, 0));
+  } finally {
+    await handle.close();
+  }
+
+  const format = detectFileFormat(header.subarray(0, bytesRead));
+  if (!format || !allowedFormats.includes(format)) {
+    const detected = format
+      ? `File content is ${format}, which is not accepted here`
+      : "File content is not a recognized image or PDF format";
+    throw uploadError(
+      `${detected}; allowed formats: ${allowedFormats.join(", ")}`,
+      415,
+      "format"
+    );
+  }
+  // PDF page images are checked as they are extracted
+  if (format === "pdf") return { format };
+
+  let metadata;
+  try {
+    // sharp's own pixel limit would hide the dimensions behind a generic error
+    metadata = await sharp(filePath, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw uploadError(
+      `File looks like ${format} but cannot be read: ${error.message}`,
+      422,
+      "format"
+    );
+  }
+  // Multi-page TIFFs: every page counts
+  const { width, height, pages = 1, pageHeight = height } = metadata;
+  if (width * pageHeight * pages > maxPixels) {
+    throw uploadError(
+      `Image is ${width}x${pageHeight}${pages > 1 ? ` with ${pages} pages` : ""}, ` +
+        `above the ${Math.round(maxPixels / 1e6)} megapixel limit`,
+      413,
+      "dimensions"
+    );
+  }
+  return { format, width, height: pageHeight };
+};
@@ -0,0 +1,204 @@
+import { Worker } from "worker_threads";
+
+// Duration assumed for a task until one has been timed, for Retry-After
+const DEFAULT_TASK_MS = 10000;
+// Weight of the latest task in the running average of task durations
+const AVERAGE_WEIGHT = 0.2;
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const poolError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Creates a bounded pool of worker threads. Each worker runs one task at a
+ * time; tasks beyond the workers wait in a queue of at most `maxQueue`, and
+ * once it is full new tasks are refused (503) so that callers back off
+ * instead of piling up work the server cannot finish in time.
+ *
+ * The worker script receives { taskId, payload } messages and answers with
+ * { taskId, type: "progress", stage, progress } as often as it likes, then
+ * { taskId, type: "result", result } or { taskId, type: "error", error }.
+ * @param {string|URL} workerFile Worker script
+ * @param {Object} options
+ * @param {number} options.size Worker threads
+ * @param {number} options.maxQueue Tasks that may wait for a worker
+ * @returns {Object} Pool with run, isFull, retryAfter, stats and close
+ */
+export const createWorkerPool = (workerFile, { size, maxQueue }) => {
+  const workers = new Set();
+  const idle = [];
+  // Tasks waiting for a worker
+  const queue = [];
+  // Tasks of admitted callers waiting for room in the queue
+  const overflow = [];
+  let nextTaskId = 1;
+  let averageMs = null;
+
+  const settle = (worker, task, outcome) => {
+    worker.current = null;
+    const durationMs = Date.now() - task.startedAt;
+    averageMs =
+      averageMs === null
+        ? durationMs
+        : averageMs * (1 - AVERAGE_WEIGHT) + durationMs * AVERAGE_WEIGHT;
+    outcome();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(workerFile);
+    worker.current = null;
+    worker.lastError = null;
+
+    worker.on("message", (message) => {
+      const task = worker.current;
+      if (!task || message.taskId !== task.id) return;
+
+      if (message.type === "progress") {
+        task.onProgress(message.stage, message.progress);
+        return;
+      }
+      settle(worker, task, () => {
+        if (message.type === "result") {
+          task.resolve(message.result);
+        } else {
+          const error = poolError(message.error.message, message.error.status);
+          if (message.error.check) error.check = message.error.check;
+          task.reject(error);
+        }
+      });
+      release(worker);
+    });
+
+    worker.on("error", (error) => {
+      console.error("Worker thread crashed:", error);
+      worker.lastError = error;
+    });
+
+    // A crashed worker takes its task down with it and is replaced on demand
+    worker.on("exit", (code) => {
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) idle.splice(idleIndex, 1);
+
+      const task = worker.current;
+      if (task) {
+        settle(worker, task, () =>
+          task.reject(
+            worker.lastError ||
+              poolError(`Worker thread exited with code ${code}`, 500)
+          )
+        );
+      }
+      dispatch();
+    });
+
+    workers.add(worker);
+    return worker;
+  };
+
+  const release = (worker) => {
+    // Idle workers must not keep the process alive
+    worker.unref();
+    idle.push(worker);
+    dispatch();
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let worker = idle.pop();
+      if (!worker && workers.size < size) worker = spawn();
+      if (!worker) break;
+
+      const task = queue.shift();
+      worker.ref();
+      worker.current = task;
+      task.startedAt = Date.now();
+      worker.postMessage({ taskId: task.id, payload: task.payload });
+    }
+    while (overflow.length > 0 && queue.length < maxQueue) {
+      queue.push(overflow.shift());
+      dispatch();
+    }
+  };
+
+  const isFull = () =>
+    queue.length >= maxQueue && idle.length === 0 && workers.size >= size;
+
+  /**
+   * Seconds until the work already accepted (running, queued and waiting
+   * for room) is likely done and a new task would be admitted
+   * @param {number} [waiting] Tasks held elsewhere that will come to this pool
+   */
+  const retryAfter = (waiting = 0) => {
+    const pending =
+      workers.size - idle.length + queue.length + overflow.length + waiting;
+    return Math.max(
+      1,
+      Math.ceil(((averageMs ?? DEFAULT_TASK_MS) * pending) / size / 1000)
+    );
+  };
+
+  return {
+    /**
+     * Runs a task on the next free worker
+     * @param {*} payload Structured-cloneable task description
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] Called with (stage, progress) as the worker reports it
+     * @param {boolean} [options.waitForRoom] Wait for room in a full queue
+     *   instead of being refused; for work that was already accepted
+     * @returns {Promise<*>} The worker's result; rejects with a 503 error
+     *   (with `retryAfter` seconds) when the queue is full
+     */
+    run: (payload, { onProgress = () => {}, waitForRoom = false } = {}) =>
+      new Promise((resolve, reject) => {
+        const task = { id: nextTaskId++, payload, onProgress, resolve, reject };
+        if (isFull()) {
+          if (!waitForRoom) {
+            const error = poolError(
+              "The server is busy with other documents, please retry later",
+              503
+            );
+            error.retryAfter = retryAfter();
+            reject(error);
+            return;
+          }
+          overflow.push(task);
+          return;
+        }
+        queue.push(task);
+        dispatch();
+      }),
+
+    /**
+     * @returns {boolean} Whether a new task would be refused
+     */
+    isFull,
+
+    retryAfter,
+
+    /**
+     * @returns {Object} Workers, busy workers, queued tasks and the average task duration
+     */
+    stats: () => ({
+      size,
+      workers: workers.size,
+      busy: workers.size - idle.length,
+      queued: queue.length + overflow.length,
+      maxQueue,
+      averageMs: averageMs === null ? null : Math.round(averageMs),
+    }),
+
+    /**
+     * Stops every worker; tasks still running are rejected
+     */
+    close: () => Promise.all([...workers].map((worker) => worker.terminate())),
+  };
+};
@@ -0,0 +1,256 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+// The end-of-directory record is 22 bytes plus a comment of up to 64 KiB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+// Largest central directory read, far above what an archive of a few hundred
+// documents needs
+const MAX_DIRECTORY_SIZE = 16 * 1024 * 1024;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Creates an error carrying the HTTP status the routes should answer with
+ * @param {string} message Error message
+ * @param {number} status HTTP status code
+ * @returns {Error} The error
+ */
+const zipError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Whether a buffer holds a ZIP archive
+ * @param {Buffer} buffer File contents, or at least their first 4 bytes
+ * @returns {boolean} True when the buffer starts with a ZIP local header
+ */
+export const isZipArchive = (buffer) =>
+  buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+
+/**
+ * Whether a file holds a ZIP archive, reading only its first bytes
+ * @param {string} filePath Path to the file
+ * @returns {boolean} True when the file starts with a ZIP local header
+ */
+export const isZipFile = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(4);
+    const bytesRead = fs.readSync(fd, header, 0, 4, 0);
+    return isZipArchive(header.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Reads `length` bytes of a file at `position`
+ * @param {number} fd Open file descriptor
+ * @param {number} position Offset in the file
+ * @param {number} length Bytes to read
+ * @returns {Buffer} The bytes, fewer when the file ends first
+ */
+const readAt = (fd, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Lists the files of a ZIP archive from its central directory, checking the
+ * limits on their declared sizes before anything is extracted. Folders,
+ * hidden files and macOS resource forks are skipped, and entries keep only
+ * their base name so they cannot be written outside the target directory.
+ * @param {number} fd Open file descriptor of the archive
+ * @param {number} fileSize Size of the archive, in bytes
+ * @param {Object} limits See extractZipArchive
+ * @returns {Array<Object>} Entries, each { fullName, name, method, compressedSize, size, localOffset }
+ */
+const readCentralDirectory = (
+  fd,
+  fileSize,
+  { maxEntries, maxEntrySize, maxTotalSize }
+) => {
+  const searchStart = Math.max(0, fileSize - MAX_END_RECORD_SEARCH);
+  const tail = readAt(fd, searchStart, fileSize - searchStart);
+  let end = -1;
+  for (let offset = tail.length - 22; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === END_OF_DIRECTORY_SIGNATURE) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw zipError("Invalid ZIP archive: no central directory", 400);
+  }
+
+  const entryCount = tail.readUInt16LE(end + 10);
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (directorySize > MAX_DIRECTORY_SIZE) {
+    throw zipError("ZIP archive has too many files", 413);
+  }
+  const directory = readAt(fd, directoryOffset, directorySize);
+
+  const entries = [];
+  let totalSize = 0;
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > directory.length ||
+      directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw zipError("Invalid ZIP archive: corrupt central directory", 400);
+    }
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    const compressedSize = directory.readUInt32LE(offset + 20);
+    const size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const localOffset = directory.readUInt32LE(offset + 42);
+    const fullName = directory
+      .subarray(offset + 46, offset + 46 + nameLength)
+      // Bit 11: names are UTF-8, otherwise legacy code page 437
+      .toString(flags & 0x800 ? "utf8" : "latin1");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const name = path.basename(fullName);
+    if (
+      fullName.endsWith("/") ||
+      fullName.startsWith("__MACOSX/") ||
+      name.startsWith(".")
+    ) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw zipError(`ZIP entry ${fullName} is encrypted`, 400);
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw zipError(
+        `ZIP entry ${fullName} uses unsupported compression method ${method}`,
+        400
+      );
+    }
+    if (entries.length >= maxEntries) {
+      throw zipError(`ZIP archive has more than ${maxEntries} files`, 413);
+    }
+    if (size > maxEntrySize) {
+      throw zipError(`ZIP entry ${fullName} is too large once extracted`, 413);
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw zipError("ZIP archive is too large once extracted", 413);
+    }
+    entries.push({ fullName, name, method, compressedSize, size, localOffset });
+  }
+  return entries;
+};
+
+/**
+ * Passes data through while counting it, failing once more than `limit`
+ * bytes went through
+ * @param {number} limit Largest number of bytes allowed
+ * @param {string} fullName Entry name, for the error message
+ * @returns {Transform} The counting stream
+ */
+const limitBytes = (limit, fullName) => {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      // Never write past the declared size, whatever the data claims
+      if (seen > limit) {
+        callback(zipError(`ZIP entry ${fullName} is larger than declared`, 400));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+/**
+ * Extracts the files of a ZIP archive to disk one at a time, streaming each
+ * so that neither the archive nor an entry is ever held in memory. The sizes
+ * declared in the central directory are checked against the limits first,
+ * so an archive over them is rejected before anything is written.
+ * @param {string} filePath Path to the archive
+ * @param {Object} limits
+ * @param {number} limits.maxEntries Files the archive may contain
+ * @param {number} limits.maxEntrySize Uncompressed size of one file, in bytes
+ * @param {number} limits.maxTotalSize Total uncompressed size, in bytes
+ * @param {Function} destinationFor Called with (name, index), returns the
+ *   path to write that entry to
+ * @returns {Promise<Array<Object>>} Entries, each { name, path, size }
+ */
+export const extractZipArchive = async (filePath, limits, destinationFor) => {
+  const fd = fs.openSync(filePath, "r");
+  const extracted = [];
+  try {
+    const { size: fileSize } = fs.fstatSync(fd);
+    const entries = readCentralDirectory(fd, fileSize, limits);
+
+    for (const entry of entries) {
+      // The data follows the local header, whose name and extra field lengths
+      // may differ from the central directory's
+      const localHeader = readAt(fd, entry.localOffset, 30);
+      if (
+        localHeader.length < 30 ||
+        localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE
+      ) {
+        throw zipError("Invalid ZIP archive: corrupt local header", 400);
+      }
+      const dataStart =
+        entry.localOffset +
+        30 +
+        localHeader.readUInt16LE(26) +
+        localHeader.readUInt16LE(28);
+
+      const destination = destinationFor(entry.name, extracted.length);
+      const stages = [
+        ...(entry.method === DEFLATED ? [zlib.createInflateRaw()] : []),
+        limitBytes(entry.size, entry.fullName),
+      ];
+      try {
+        await pipeline(
+          entry.compressedSize > 0
+            ? fs.createReadStream(null, {
+                fd,
+                autoClose: false,
+                start: dataStart,
+                end: dataStart + entry.compressedSize - 1,
+              })
+            : Readable.from([]),
+          ...stages,
+          fs.createWriteStream(destination)
+        );
+      } catch (error) {
+        fs.rmSync(destination, { force: true });
+        throw error.status
+          ? error
+          : zipError(`ZIP entry ${entry.fullName} is corrupt: ${error.message}`, 400);
+      }
+      extracted.push({
+        name: entry.name,
+        path: destination,
+        size: fs.statSync(destination).size,
+      });
+    }
+    return extracted;
+  } catch (error) {
+    // A rejected archive leaves nothing behind
+    extracted.forEach((entry) => fs.rmSync(entry.path, { force: true }));
+    throw error;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
@@ -1,5 +1,6 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -28,6 +29,20 @@ export const getAbsolutePath = (relativePath) => {
   return path.join(projectRoot, relativePath);
 };
 
+/**
+ * Computes the SHA-256 hash of a file's contents
+ * @param {string} filePath Path to the file
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
 /**
  * Cleans up temporary files
  * @param {Array<string>} filePaths Array of file paths to clean up
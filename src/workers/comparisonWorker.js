@@ -0,0 +1,93 @@
+import { parentPort } from "worker_threads";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { compareDocument } from "../services/imageService.js";
+import { releaseHashIndex } from "../services/hashIndex.js";
+import { splitDocumentPages } from "../services/pageService.js";
+import { createReferenceLibrary } from "../services/referenceLibrary.js";
+import { sanitizeFilename } from "../services/uploadValidation.js";
+import {
+  errorLevelAnalysis,
+  analyzeNoise,
+} from "../services/forensicsService.js";
+import { detectionConfig } from "../config/detection.js";
+
+/**
+ * Stages an uploaded document as a one-file reference library. Only its first
+ * page is used when it has several.
+ * @param {Object} reference { filePath, originalname, metadata }; metadata,
+ *   e.g. { documentType }, picks the thresholds, otherwise they are read from
+ *   the filename like for any reference
+ * @param {string} workDir Scratch directory
+ * @returns {Promise<string>} The staged library directory
+ */
+const stageReference = async ({ filePath, originalname, metadata }, workDir) => {
+  const [firstPage] = await splitDocumentPages(filePath, workDir);
+  const libraryDir = path.join(workDir, "reference");
+  fs.mkdirSync(libraryDir);
+
+  let stem;
+  try {
+    const name = sanitizeFilename(originalname);
+    stem = path.basename(name, path.extname(name));
+  } catch (error) {
+    stem = "reference";
+  }
+  // The library only lists the usual image formats
+  await sharp(firstPage.path).png().toFile(path.join(libraryDir, `${stem}.png`));
+  createReferenceLibrary(libraryDir).add(`${stem}.png`, metadata);
+  return libraryDir;
+};
+
+// The image work a task can ask for, by name
+const tasks = {
+  compare: async (
+    { filePath, genuineDir, stagedReference, options },
+    onProgress
+  ) => {
+    if (!stagedReference) {
+      return compareDocument(filePath, genuineDir, { ...options, onProgress });
+    }
+
+    // A library staged for one comparison is deleted right after it
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "forgery-pair-"));
+    let libraryDir;
+    try {
+      libraryDir = await stageReference(stagedReference, workDir);
+      return await compareDocument(filePath, libraryDir, {
+        ...options,
+        onProgress,
+      });
+    } finally {
+      if (libraryDir) releaseHashIndex(libraryDir);
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  },
+
+  analyze: async ({ filePath, heatmapDir }) => {
+    const { ela, noise } = detectionConfig.forensics;
+    return {
+      ela: await errorLevelAnalysis(filePath, ela, heatmapDir),
+      noise: await analyzeNoise(filePath, noise, heatmapDir),
+    };
+  },
+};
+
+// Runs the comparisons and forensic analyses handed out by the comparison
+// pool (services/comparisonPool.js), one at a time, off the HTTP server's thread
+parentPort.on("message", async ({ taskId, payload }) => {
+  try {
+    const result = await tasks[payload.task](payload, (stage, progress) =>
+      parentPort.postMessage({ taskId, type: "progress", stage, progress })
+    );
+    parentPort.postMessage({ taskId, type: "result", result });
+  } catch (error) {
+    parentPort.postMessage({
+      taskId,
+      type: "error",
+      error: { message: error.message, status: error.status, check: error.check },
+    });
+  }
+});